@@ -18,7 +18,6 @@
 // @exclude      *://*.choiceofgames.com/make-your-own-games/*
 //
 // @grant        none
-// @require      https://cdn.jsdelivr.net/npm/lz-string@1.5.0/libs/lz-string.min.js
 // @run-at       document-start
 // ==/UserScript==
 
@@ -38,10 +37,9 @@
  * Copyright (c) 2026 cxcp
  * Licensed under the MIT License. See LICENSE file or https://opensource.org/licenses/MIT
  *
- * Uses LZ-String 1.5.0 by Pieroxy (MIT)
+ * Bundles a decoder for LZ-String 1.5.0 by Pieroxy (MIT), for saves from older versions
  * https://github.com/pieroxy/lz-string
- * Loaded via jsDelivr CDN
- * 
+ *
  * Inspired by the prior work of the ChoiceScript community:
  * ChoiceScriptSavePlugin by CJW (ChoiceScriptIDE):
  * https://github.com/ChoicescriptIDE/ChoiceScriptSavePlugin
@@ -52,25 +50,65 @@
  * https://www.reddit.com/r/choiceofgames/comments/ovo3eh/choicescriptsaveplugininjector_add_save_system_to/
  */
 
-/* global LZString */
+/* global GM_info */
 
 (function () {
   "use strict";
 
   /* === CONFIG & UTILS === */
   const DB_NAME = "CS_SaveMgr",
+    DB_VERSION = 2,
     STORE = "saves",
+    STATE_STORE = "states",
     SETTINGS_KEY = "CS_SaveMgr_Opts",
+    HEAD_KEY = "CS_SaveMgr_Head",
+    ALIAS_KEY = "CS_SaveMgr_Alias",
+    RUN_KEY = "CS_SaveMgr_Run",
+    RUN_NAMES_KEY = "CS_SaveMgr_RunNames",
+    PROGRESS_KEY = "CS_SaveMgr_Progress",
+    IDENT_KEY = "CS_SaveMgr_Games",
+    VERSION_KEY = "CS_SaveMgr_Ver",
     QUICK_SLOTS = 5,
-    METADATA_FORMAT_VERSION = 1;
+    AUTO_MAX_DEPTH = 50,
+    PREVIEW_CHARS = 240,
+    LIST_PAGE = 100,
+    PREVIEW_CHOICES = 8,
+    METADATA_FORMAT_VERSION = 5,
+    QUARANTINE = "quarantine:",
+    API_VERSION = 1,
+    SAVE_CODE = "CSSAVE1",
+    CRYPT_FORMAT = "cs-save-manager/encrypted",
+    CRYPT_VERSION = 1,
+    CRYPT_ITERATIONS = 600000,
+    CRYPT_MAX_ITERATIONS = 5000000;
   const STATE_PLAIN = "plain",
     STATE_LZ = "lz",
-    POSITIONS = ["top-right", "top-left", "bottom-right", "bottom-left"];
+    STATE_GZIP = "gzip",
+    POSITIONS = ["top-right", "top-left", "bottom-right", "bottom-left"],
+    HOTKEYS = {
+      save: "Save",
+      quickSave: "Quick Save",
+      quickLoad: "Quick Load",
+      undoLoad: "Undo Load",
+      manager: "Manager",
+    };
   const defOpts = {
     compression: true,
     buttons: { save: true, quickSave: true, position: "top-right" },
+    autosave: { enabled: false, depth: 10 },
+    hotkeys: true,
+    confirmLoad: false,
+    api: false,
+    keys: {
+      save: "Shift+F5",
+      quickSave: "F5",
+      quickLoad: "F9",
+      undoLoad: "Shift+F9",
+      manager: "F8",
+    },
   };
-  const HAS_LZ = typeof LZString !== "undefined";
+  const HAS_GZIP = typeof CompressionStream !== "undefined";
+  const SCRIPT_VERSION = typeof GM_info !== "undefined" ? GM_info.script?.version || "" : "";
 
   let settings = (() => {
     try {
@@ -79,18 +117,61 @@
         ...defOpts,
         compression: p.compression ?? defOpts.compression,
         buttons: { ...defOpts.buttons, ...(p.buttons || {}) },
+        autosave: { ...defOpts.autosave, ...(p.autosave || {}) },
+        hotkeys: p.hotkeys ?? defOpts.hotkeys,
+        confirmLoad: p.confirmLoad ?? defOpts.confirmLoad,
+        api: p.api ?? defOpts.api,
+        keys: { ...defOpts.keys, ...(p.keys || {}) },
+        retention: p.retention && typeof p.retention === "object" ? p.retention : {},
       };
     } catch {
-      return { ...defOpts, buttons: { ...defOpts.buttons } };
+      return {
+        ...defOpts,
+        buttons: { ...defOpts.buttons },
+        autosave: { ...defOpts.autosave },
+        keys: { ...defOpts.keys },
+        retention: {},
+      };
     }
   })();
   if (!POSITIONS.includes(settings.buttons.position)) settings.buttons.position = "top-right";
+  // Per-game cleanup rules; 0 turns a rule off.
+  //  keep: newest manual saves to keep, days: max age of quick/auto saves, kb: cap on total size.
+  const retentionFor = (g) => ({ keep: 0, days: 0, kb: 0, ...settings.retention[g] });
+  const clampDepth = (n) => Math.min(AUTO_MAX_DEPTH, Math.max(1, Math.floor(Number(n)) || 1));
+  settings.autosave.depth = clampDepth(settings.autosave.depth);
+
+  // Key combos are stored as "Ctrl+Alt+Shift+Meta+Key" with only the held modifiers, e.g. "Shift+F5".
+  const comboOf = (e) => {
+    // Autofill fires keydown events without a key.
+    if (typeof e.key !== "string" || ["Control", "Alt", "Shift", "Meta"].includes(e.key)) return "";
+    const k = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    return [e.ctrlKey && "Ctrl", e.altKey && "Alt", e.shiftKey && "Shift", e.metaKey && "Meta", k]
+      .filter(Boolean)
+      .join("+");
+  };
 
   const now = () => Date.now();
   const uid = () =>
     crypto?.randomUUID?.() || Math.random().toString(36).slice(2) + now().toString(36);
 
-  const gameId = () => {
+  const readJson = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key) || "{}");
+    } catch {
+      return {};
+    }
+  };
+  const writeJson = (key, v) => {
+    try {
+      localStorage.setItem(key, JSON.stringify(v));
+    } catch (e) {
+      console.warn(`Could not write ${key} to localStorage`, e);
+    }
+  };
+
+  // The id the page itself suggests, before aliases.
+  const rawGameId = () => {
     if (window.storeName) return window.storeName;
     // itch.io embed support (requires manual @match)
     if (location.hostname.includes("itch.zone")) {
@@ -100,8 +181,106 @@
     return location.pathname.replace(/\/$/, "").split("?")[0].split("#")[0];
   };
 
-  const gameSlug = () =>
-    (location.pathname.split("/").filter(Boolean).pop() || "game").replace(/[<>:"/\\|?*]/g, "_");
+  // Aliases map old game ids to the id their saves were merged into, possibly over several hops.
+  const resolveGame = (g) => {
+    const m = readJson(ALIAS_KEY);
+    for (let i = 0; i < 10 && m[g]; i++) g = m[g];
+    return g;
+  };
+  const gameId = () => resolveGame(rawGameId());
+
+  // What the engine says about the game regardless of URL or title: its store name, scene list and
+  // the names of its starting stats. Lets a game that moved or changed title be recognised.
+  const fingerprint = () => {
+    const w = getCSApi()?.w;
+    if (!w) return null;
+    return {
+      store: w.storeName || "",
+      scenes: (w.nav?._sceneList || []).slice(0, 200),
+      stats: Object.keys(w.nav?.startingStats || {})
+        .sort()
+        .join(","),
+    };
+  };
+  // The same starting stats with at least half the scenes in common. A matching store name needs
+  // no check: it already makes the game ids equal. Without a scene list there is too little to go on.
+  const sameGame = (a, b) => {
+    if (!a || !b || !a.scenes?.length || !b.scenes?.length) return false;
+    if (!a.stats || a.stats !== b.stats) return false;
+    const s = new Set(a.scenes),
+      shared = b.scenes.filter((x) => s.has(x)).length;
+    return shared >= Math.min(a.scenes.length, b.scenes.length) / 2;
+  };
+
+  // Last save loaded or created per game. New saves record it as their parent, and it is kept
+  // in localStorage so the lineage survives the page reload that follows a load.
+  const getHead = (g = gameId()) => readJson(HEAD_KEY)[g] ?? null;
+  const setHead = (g, id) => {
+    const m = readJson(HEAD_KEY);
+    if (id) m[g] = id;
+    else delete m[g];
+    writeJson(HEAD_KEY, m);
+  };
+
+  // Current playthrough per game, as { id, played }. `played` turns true once the game moves past
+  // its fresh start, so the opening pages of a run don't each begin another one.
+  const getRun = (g) => readJson(RUN_KEY)[g] || null;
+  const setRun = (g, run) => {
+    const m = readJson(RUN_KEY);
+    if (run) m[g] = run;
+    else delete m[g];
+    writeJson(RUN_KEY, m);
+  };
+  // Run names are keyed by run id alone; ids are unique across games.
+  const runName = (id) => (id && readJson(RUN_NAMES_KEY)[id]) || "";
+
+  const saveSettings = () => writeJson(SETTINGS_KEY, settings);
+
+  const gameSlug = (g = location.pathname) =>
+    (g.split("/").filter(Boolean).pop() || "game").replace(/[<>:"/\\|?*]/g, "_");
+
+  // FNV-1a over the stored (encoded) state. Written with every record and checked whenever the
+  // state is decoded; it catches damaged data, not deliberate edits.
+  const checksum = (state) => {
+    const b = typeof state === "string" ? new TextEncoder().encode(state) : state;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < b.length; i++) h = Math.imul(h ^ b[i], 0x01000193);
+    return (h >>> 0).toString(16).padStart(8, "0");
+  };
+
+  // Gzip states are binary; count their bytes rather than their JSON form. Metadata-only records
+  // carry the size computed when they were written.
+  const recSize = (r) =>
+    r.state == null
+      ? r.size || 0
+      : typeof r.state === "string"
+        ? JSON.stringify({ ...r, size: 0 }).length
+        : JSON.stringify({ ...r, size: 0, state: "" }).length + r.state.byteLength;
+
+  // Tags are stored lower-case, trimmed and de-duplicated; a string is split on commas.
+  const normTags = (t) => [
+    ...new Set(
+      (Array.isArray(t) ? t : String(t || "").split(","))
+        .map((x) => String(x).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+
+  const quota = async () => {
+    try {
+      const e = await navigator.storage?.estimate?.();
+      return e?.quota ? e : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const fmtSize = (n) =>
+    n < 1024
+      ? `${n} B`
+      : n < 1048576
+        ? `${(n / 1024).toFixed(1)} KB`
+        : `${(n / 1048576).toFixed(1)} MB`;
 
   const isDark = () => {
     try {
@@ -120,29 +299,337 @@
         (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[m]
       );
 
-  const enc = (o) =>
-    settings.compression && HAS_LZ
-      ? { state: LZString.compressToBase64(JSON.stringify(o)), enc: STATE_LZ }
-      : { state: JSON.stringify(o), enc: STATE_PLAIN };
+  // Decoder for LZ-String's compressToBase64 output, which older versions of the script stored.
+  // Ported from LZ-String 1.5.0 (Pieroxy, MIT) so those saves load without the library.
+  const LZ_KEY = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=";
+  const lzDecode = (input) => {
+    if (!input) return "";
+    const val = (i) => LZ_KEY.indexOf(input.charAt(i));
+    let data = val(0),
+      pos = 32,
+      index = 1;
+    const bits = (n) => {
+      let out = 0;
+      for (let p = 1; p !== 1 << n; p <<= 1) {
+        const b = data & pos;
+        pos >>= 1;
+        if (!pos) {
+          pos = 32;
+          data = val(index++);
+        }
+        if (b) out |= p;
+      }
+      return out;
+    };
+
+    const dict = [0, 1, 2];
+    let size = 4,
+      numBits = 3,
+      enlargeIn = 4,
+      t = bits(2);
+    if (t === 2) return "";
+    let w = String.fromCharCode(bits(t ? 16 : 8));
+    dict[3] = w;
+    const out = [w];
+    for (;;) {
+      if (index > input.length) return "";
+      let c = bits(numBits);
+      if (c === 2) return out.join("");
+      if (c < 2) {
+        dict[size++] = String.fromCharCode(bits(c ? 16 : 8));
+        c = size - 1;
+        if (!--enlargeIn) enlargeIn = 1 << numBits++;
+      }
+      const entry =
+        c < size && typeof dict[c] === "string" ? dict[c] : c === size ? w + w[0] : null;
+      if (entry == null) throw new Error("Invalid LZ data.");
+      out.push(entry);
+      dict[size++] = w + entry[0];
+      w = entry;
+      if (!--enlargeIn) enlargeIn = 1 << numBits++;
+    }
+  };
+
+  const pipe = async (bytes, stream) => {
+    const w = stream.writable.getWriter();
+    // Errors surface on the readable side; the writer's own promises would only go unhandled.
+    w.write(bytes).catch(() => {});
+    w.close().catch(() => {});
+    return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+  };
+
+  // Compressed states are gzip bytes (a Uint8Array) in the database and base64 in exported files.
+  const enc = async (o) => {
+    const txt = JSON.stringify(o);
+    return settings.compression && HAS_GZIP
+      ? {
+          state: await pipe(new TextEncoder().encode(txt), new CompressionStream("gzip")),
+          enc: STATE_GZIP,
+        }
+      : { state: txt, enc: STATE_PLAIN };
+  };
 
-  const dec = (r) => {
+  const dec = async (r) => {
+    if (r.sum && r.state != null && checksum(r.state) !== r.sum)
+      throw new Error("Checksum mismatch: the save data is damaged.");
+    if (r.enc === STATE_GZIP && !HAS_GZIP)
+      throw new Error("This browser can't decompress this save (no DecompressionStream).");
     try {
-      if (r.enc === STATE_LZ) {
-        if (typeof LZString === "undefined")
-          throw new Error("LZString unavailable for decompression.");
-        return JSON.parse(LZString.decompressFromBase64(r.state));
+      if (r.enc === STATE_GZIP) {
+        const b = typeof r.state === "string" ? fromB64(r.state) : r.state;
+        return JSON.parse(new TextDecoder().decode(await pipe(b, new DecompressionStream("gzip"))));
       }
+      if (r.enc === STATE_LZ) return JSON.parse(lzDecode(r.state));
       return JSON.parse(r.state);
     } catch (e) {
       throw new Error("Corrupted save data or decode failure.", { cause: e });
     }
   };
 
+  // Exported files are JSON, so binary states go out as base64. The stored size is dropped
+  // (undefined is skipped by JSON.stringify) since it's recomputed when the file is imported.
+  const exportJson = (recs) =>
+    JSON.stringify(
+      recs.map((r) => ({
+        ...r,
+        size: undefined,
+        state: typeof r.state === "string" ? r.state : toB64(r.state),
+      }))
+    );
+
+  /* === FORMAT MIGRATIONS === */
+  // MIGRATIONS[n] upgrades a record from format n to n + 1. Steps return copies, never mutate.
+  const MIGRATIONS = {
+    // Pre-versioned records: fill in the metadata every reader relies on.
+    0: (r) => ({
+      ...r,
+      enc: r.enc || STATE_PLAIN,
+      meta: { name: "", scene: "", quick: null, ...r.meta, ts: Number(r.meta?.ts) },
+    }),
+    // Format 2 added autosaves and lineage.
+    1: (r) => ({ ...r, meta: { auto: false, parent: null, ...r.meta } }),
+    // Format 3 added notes, tags, pins and locks.
+    2: (r) => ({ ...r, meta: { note: "", tags: [], pinned: false, locked: false, ...r.meta } }),
+    // Format 4 added state checksums; DB.put fills in `sum`, so upgrading is just a rewrite.
+    3: (r) => ({ ...r }),
+    // Format 5 added playthrough ids. Older saves belong to no run.
+    4: (r) => ({ ...r, meta: { run: null, ...r.meta } }),
+  };
+
+  const validate = async (r) => {
+    if (typeof r.id !== "string" || !r.id) throw new Error("Missing id");
+    if (!(typeof r.state === "string" || ArrayBuffer.isView(r.state)) || !r.state.length)
+      throw new Error("Missing state data");
+    if (![STATE_PLAIN, STATE_LZ, STATE_GZIP].includes(r.enc))
+      throw new Error(`Unknown encoding "${r.enc}"`);
+    if (!Number.isFinite(r.meta?.ts)) throw new Error("Missing timestamp");
+    const s = await dec(r);
+    if (!s?.stats || typeof s.stats !== "object") throw new Error("State has no stats");
+  };
+
+  // Runs the format steps from `from` up to the current format. The state is not looked at.
+  const upgradeMeta = (r, from) => {
+    let rec = r;
+    for (let v = from; v < METADATA_FORMAT_VERSION; v++) rec = MIGRATIONS[v](rec);
+    return { ...rec, meta: { ...rec.meta, fmt: METADATA_FORMAT_VERSION } };
+  };
+
+  // Upgrades a single record to the current format and validates it.
+  // Returns { rec, from } or throws with the reason it was rejected.
+  const migrate = async (r) => {
+    if (!r || typeof r !== "object" || Array.isArray(r)) throw new Error("Not a save record");
+    const from = Number(r.meta?.fmt) || 0;
+    if (from > METADATA_FORMAT_VERSION)
+      throw new Error(`Saved by a newer version of the script (format ${from})`);
+    const rec = upgradeMeta(r, from);
+    if (rec.enc === STATE_GZIP && typeof rec.state === "string") {
+      try {
+        rec.state = fromB64(rec.state);
+      } catch {
+        throw new Error("Corrupted state data");
+      }
+    }
+    await validate(rec);
+    return { rec, from };
+  };
+
+  // Excerpt of the passage on screen and the choices offered, so similar saves can be told apart.
+  // The engine renders both into #text, with the options as labels inside a form.
+  const pagePreview = () => {
+    const el = document.getElementById("text");
+    if (!el) return null;
+    const squash = (s) => s.replace(/\s+/g, " ").trim(),
+      body = el.cloneNode(true);
+    body.querySelectorAll("form, script, style, button").forEach((n) => n.remove());
+    const text = squash(body.textContent),
+      choices = [...el.querySelectorAll("form label")]
+        .map((l) => squash(l.textContent))
+        .filter(Boolean)
+        .slice(0, PREVIEW_CHOICES);
+    if (!text && !choices.length) return null;
+    return {
+      text:
+        text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS - 1).trimEnd() + "\u2026" : text,
+      choices,
+    };
+  };
+
+  const STAT_SCOPES = ["stats", "temps"];
+  const fmtVal = (v) => (v === undefined ? "" : typeof v === "string" ? v : JSON.stringify(v));
+
+  // A readable export of decoded saves: one column per save, one row per metadata field and per
+  // stat, as Markdown tables or CSV. Temps are left out unless asked for.
+  const statSheet = (recs, states, { format = "md", temps = false } = {}) => {
+    const csv = format === "csv",
+      names = recs.map((r) => r.meta?.name || "Unnamed Save"),
+      meta = [
+        ["Scene", (r) => r.meta?.scene || ""],
+        ["Saved", (r) => new Date(r.meta?.ts || 0)[csv ? "toISOString" : "toLocaleString"]()],
+        ["Tags", (r) => (r.meta?.tags || []).join(", ")],
+      ],
+      scopes = (temps ? STAT_SCOPES : ["stats"]).map((scope) => [
+        scope,
+        [...new Set(states.flatMap((s) => Object.keys(s?.[scope] || {})))]
+          .sort((a, b) => a.localeCompare(b))
+          .map((k) => [k, states.map((s) => fmtVal(s?.[scope]?.[k]))]),
+      ]);
+    if (csv) {
+      // Text that a spreadsheet would run as a formula gets a leading ' (plain numbers are safe).
+      const cell = (v) => {
+        if (/^[=+\-@\t\r]/.test(v) && isNaN(Number(v))) v = `'${v}`;
+        return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+      };
+      return [
+        ["scope", "key", ...names],
+        ...meta.map(([k, f]) => ["meta", k.toLowerCase(), ...recs.map(f)]),
+        ...scopes.flatMap(([scope, rows]) => rows.map(([k, vs]) => [scope, k, ...vs])),
+      ]
+        .map((row) => row.map((v) => cell(String(v))).join(","))
+        .join("\r\n");
+    }
+    const cell = (v) => String(v).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>"),
+      table = (head, rows) =>
+        [[head, ...names], Array(names.length + 1).fill("---"), ...rows]
+          .map((row) => `| ${row.map(cell).join(" | ")} |`)
+          .join("\n");
+    return (
+      [
+        `# ${recs[0]?.game || gameId()} stat sheet`,
+        table(
+          "",
+          meta.map(([k, f]) => [k, ...recs.map(f)])
+        ),
+        ...scopes.map(([scope, rows]) => {
+          const title = scope === "stats" ? "Stat" : "Temp";
+          return `## ${title}s\n\n${
+            rows.length
+              ? table(
+                  title,
+                  rows.map(([k, vs]) => [k, ...vs])
+                )
+              : "_None_"
+          }`;
+        }),
+      ].join("\n\n") + "\n"
+    );
+  };
+
+  // Search queries are space-separated terms. Plain words match name, scene, note and page text;
+  // `tag:x`, `scene:x` and `name:x` match metadata; `stat<op>value` with =, !=, <, <=, > or >=
+  // matches the decoded stats. Terms that can't be understood are returned in `bad` with a reason.
+  const QUERY_FIELDS = ["tag", "scene", "name"];
+  const parseQuery = (q) => {
+    const out = { text: [], fields: [], stats: [], bad: [] },
+      bad = (term, why) => out.bad.push({ term, why });
+    for (const term of q.trim().split(/\s+/).filter(Boolean)) {
+      let m;
+      if ((m = term.match(/^([a-z_]\w*)(>=|<=|!=|=|<|>)(.*)$/i))) {
+        const [, key, op, val] = m;
+        if (!val) bad(term, "missing value");
+        else if (/^[<>=!]/.test(val)) bad(term, "unknown operator");
+        else if (op[0] === "<" || op[0] === ">") {
+          if (isNaN(Number(val))) bad(term, `${op} needs a number`);
+          else out.stats.push({ term, key: key.toLowerCase(), op, val });
+        } else out.stats.push({ term, key: key.toLowerCase(), op, val: val.toLowerCase() });
+      } else if ((m = term.match(/^(\w+):(.*)$/))) {
+        const field = m[1].toLowerCase();
+        if (!QUERY_FIELDS.includes(field)) bad(term, `unknown field "${m[1]}"`);
+        else if (!m[2]) bad(term, "missing value");
+        else out.fields.push({ field, val: m[2].toLowerCase() });
+      } else if (/^[<>=!]/.test(term)) bad(term, "missing stat name");
+      else out.text.push(term.toLowerCase());
+    }
+    return out;
+  };
+
+  // Numbers compare as numbers; = and != also compare text and booleans, ignoring case.
+  const statMatch = (v, { op, val }) => {
+    if (v === undefined || v === null) return false;
+    if (op === "=" || op === "!=") {
+      const eq =
+        String(v).toLowerCase() === val || (!isNaN(Number(val)) && Number(v) === Number(val));
+      return op === "=" ? eq : !eq;
+    }
+    const a = typeof v === "boolean" || v === "" ? NaN : Number(v),
+      b = Number(val);
+    if (isNaN(a)) return false;
+    return op === "<" ? a < b : op === "<=" ? a <= b : op === ">" ? a > b : a >= b;
+  };
+
+  // Compares two decoded states key by key. Status is added/removed/changed/same as seen from a to b.
+  const diffStats = (a, b) =>
+    STAT_SCOPES.flatMap((scope) => {
+      const x = a?.[scope] || {},
+        y = b?.[scope] || {};
+      return [...new Set([...Object.keys(x), ...Object.keys(y)])]
+        .sort((k1, k2) => k1.localeCompare(k2))
+        .map((key) => ({
+          scope,
+          key,
+          a: x[key],
+          b: y[key],
+          st: !(key in x)
+            ? "added"
+            : !(key in y)
+              ? "removed"
+              : JSON.stringify(x[key]) === JSON.stringify(y[key])
+                ? "same"
+                : "changed",
+        }));
+    });
+
+  // Persist.js (the engine's storage layer) names localStorage keys "PS" + store name + "PS" + key.
+  const psEsc = (s) => "PS" + s.replace(/_/g, "__").replace(/ /g, "_s");
+  const psUnesc = (s) => s.replace(/__|_s/g, (m) => (m === "__" ? "_" : " "));
+
+  // Collects engine-shaped states ({ stats, temps, lineNum, indent }) from arbitrary parsed JSON,
+  // keeping the nearest object key as a hint for naming and timestamps. Nested JSON strings are
+  // followed too, since the engine and the older save plugins store their states stringified.
+  const findStates = (v, key = "", out = [], depth = 0) => {
+    if (v == null || depth > 6) return out;
+    if (typeof v === "string") {
+      if (/^\s*[{[]/.test(v)) {
+        try {
+          findStates(JSON.parse(v), key, out, depth + 1);
+        } catch {
+          /* not JSON after all */
+        }
+      }
+    } else if (typeof v === "object") {
+      if (v.stats && typeof v.stats === "object" && !Array.isArray(v.stats))
+        out.push({ key, state: v });
+      else
+        for (const [k, x] of Object.entries(v))
+          findStates(x, Array.isArray(v) ? key : k, out, depth + 1);
+    }
+    return out;
+  };
+
   const injectStyles = () => {
     if (document.getElementById("cs-save-styles")) return;
     const style = document.createElement("style");
     style.id = "cs-save-styles";
-    style.textContent = `.cs-toast-host{position:fixed;left:50%;top:18px;transform:translateX(-50%);z-index:100005;display:flex;flex-direction:column;gap:6px;align-items:center;pointer-events:none}.cs-toast{padding:6px 10px;border-radius:6px;font-size:13px}.cs-toast-dark,.cs-modal-dark{background:#171717;color:#eee}.cs-toast-dark{background:#1f6feb;color:#fff}.cs-toast-light,.cs-modal-light{background:#fff;color:#111}.cs-toast-light{background:#e8f1ff;color:#0a3a73}.cs-modal-overlay{position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99999;display:flex;justify-content:center;align-items:flex-start;padding-top:40px}.cs-modal-box{width:760px;max-height:86vh;overflow:auto;border-radius:8px;padding:12px;box-sizing:border-box}.cs-header,.cs-row,.cs-list-header{display:flex;justify-content:space-between;align-items:center}.cs-header{margin:0 0 8px}.cs-header h3{margin:0}.cs-close-btn{border:none;background:transparent;color:inherit;font-size:20px;cursor:pointer;padding:0 4px}.cs-bar,.cs-tools,.cs-acts,.cs-info,.cs-row-left{display:flex;gap:6px;align-items:center}.cs-bar,.cs-tools{flex-wrap:wrap;margin-bottom:8px}.cs-settings-panel{margin:6px 0 8px;border:1px solid #8883;border-radius:6px;padding:8px;grid-template-columns:repeat(auto-fit,minmax(210px,1fr));gap:6px}.cs-settings-row{display:flex;align-items:center;gap:6px;cursor:pointer}.cs-search{flex:1;min-width:220px;padding:2px 4px}.cs-inline-inp{min-width:180px;padding:2px 4px;font-size:13px}.cs-count{font-size:12px;opacity:.8}.cs-list-container{max-height:52vh;overflow:auto;border:1px solid #8883;border-radius:6px;padding:4px 8px}.cs-list-header{padding:4px 0 6px;border-bottom:1px solid #8883;margin-bottom:2px;justify-content:flex-start}.cs-row{border-bottom:1px solid #8883;padding:6px 0;gap:8px}.cs-info{margin-left:8px}.cs-quick-badge{font-size:11px;font-weight:700;padding:1px 4px;border-radius:4px;margin-right:4px}.cs-quick-dark{background:#1f6feb;color:#fff}.cs-quick-light{background:#dbeafe;color:#1e3a8a}.cs-title-span{display:inline-block;max-width:180px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;vertical-align:bottom}.cs-meta-span{margin-left:6px;font-size:12px;opacity:.8;white-space:nowrap}.cs-btn-del{color:#ba0000}.cs-controls{position:fixed;z-index:100001;display:flex;flex-direction:column;gap:6px}.cs-pos-top-right{top:14px;right:14px}.cs-pos-top-left{top:14px;left:14px}.cs-pos-bottom-right{bottom:14px;right:14px}.cs-pos-bottom-left{bottom:14px;left:14px}`;
+    style.textContent = `.cs-toast-host{position:fixed;left:50%;top:18px;transform:translateX(-50%);z-index:100005;display:flex;flex-direction:column;gap:6px;align-items:center;pointer-events:none}.cs-toast{padding:6px 10px;border-radius:6px;font-size:13px}.cs-toast-dark,.cs-modal-dark{background:#171717;color:#eee}.cs-toast-dark{background:#1f6feb;color:#fff}.cs-toast-light,.cs-modal-light{background:#fff;color:#111}.cs-toast-light{background:#e8f1ff;color:#0a3a73}.cs-modal-overlay{position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:99999;display:flex;justify-content:center;align-items:flex-start;padding-top:40px}.cs-modal-box{width:760px;max-height:86vh;overflow:auto;border-radius:8px;padding:12px;box-sizing:border-box}.cs-header,.cs-row,.cs-list-header{display:flex;justify-content:space-between;align-items:center}.cs-header{margin:0 0 8px}.cs-header h3{margin:0}.cs-close-btn{border:none;background:transparent;color:inherit;font-size:20px;cursor:pointer;padding:0 4px}.cs-bar,.cs-tools,.cs-acts,.cs-info,.cs-row-left{display:flex;gap:6px;align-items:center}.cs-bar,.cs-tools{flex-wrap:wrap;margin-bottom:8px}.cs-settings-panel{margin:6px 0 8px;border:1px solid #8883;border-radius:6px;padding:8px;grid-template-columns:repeat(auto-fit,minmax(210px,1fr));gap:6px}.cs-settings-row{display:flex;align-items:center;gap:6px;cursor:pointer}.cs-search{flex:1;min-width:220px;padding:2px 4px}.cs-search-bad{outline:2px solid #cf222e}.cs-inline-inp{min-width:180px;padding:2px 4px;font-size:13px}.cs-count{font-size:12px;opacity:.8}.cs-list-container{max-height:52vh;overflow:auto;border:1px solid #8883;border-radius:6px;padding:4px 8px}.cs-list-header{padding:4px 0 6px;border-bottom:1px solid #8883;margin-bottom:2px;justify-content:flex-start}.cs-row{border-bottom:1px solid #8883;padding:6px 0;gap:8px}.cs-info{margin-left:8px}.cs-quick-badge{font-size:11px;font-weight:700;padding:1px 4px;border-radius:4px;margin-right:4px}.cs-quick-dark{background:#1f6feb;color:#fff}.cs-quick-light{background:#dbeafe;color:#1e3a8a}.cs-auto-dark{background:#238636;color:#fff}.cs-auto-light{background:#dcfce7;color:#14532d}.cs-mod-dark{background:#9a6700;color:#fff}.cs-mod-light{background:#fff8c5;color:#7d4e00}.cs-undo-dark{background:#6e7681;color:#fff}.cs-undo-light{background:#eaeef2;color:#24292f}.cs-pin-dark{background:#8250df;color:#fff}.cs-pin-light{background:#fbefff;color:#6639ba}.cs-lock-dark{background:#cf222e;color:#fff}.cs-lock-light{background:#ffebe9;color:#82071e}.cs-tag{font-size:11px;padding:0 5px;border:1px solid #8886;border-radius:8px;margin-left:4px;white-space:nowrap}.cs-note-edit{display:grid;grid-template-columns:auto 1fr;gap:4px 8px;align-items:center;font-size:13px;padding:4px 8px 8px 44px;border-bottom:1px solid #8883}.cs-note-edit textarea{min-height:48px;font:inherit}.cs-title-span{display:inline-block;max-width:180px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;vertical-align:bottom}.cs-meta-span{margin-left:6px;font-size:12px;opacity:.8;white-space:nowrap}.cs-btn-del{color:#ba0000}.cs-run-head{display:flex;gap:6px;align-items:center;padding:8px 0 4px;border-bottom:1px solid #8883;font-size:13px;font-weight:700}.cs-prev-btn{border:none;background:transparent;color:inherit;cursor:pointer;padding:0 2px;font-size:12px}.cs-preview{font-size:12px;opacity:.85;padding:2px 8px 8px 44px;border-bottom:1px solid #8883}.cs-preview ul{margin:4px 0 0;padding-left:18px}.cs-panel{border:1px solid #8883;border-radius:6px;padding:6px 8px;margin-bottom:8px}.cs-panel-body{max-height:52vh;overflow:auto}.cs-stat-table{width:100%;border-collapse:collapse;font-size:13px}.cs-stat-table th,.cs-stat-table td{text-align:left;padding:2px 6px;border-bottom:1px solid #8883;word-break:break-word}.cs-diff-added{color:#1a7f37}.cs-diff-removed{color:#cf222e}.cs-diff-changed{color:#bf8700}.cs-controls{position:fixed;z-index:100001;display:flex;flex-direction:column;gap:6px}.cs-pos-top-right{top:14px;right:14px}.cs-pos-top-left{top:14px;left:14px}.cs-pos-bottom-right{bottom:14px;right:14px}.cs-pos-bottom-left{bottom:14px;left:14px}`;
     document.head.appendChild(style);
   };
 
@@ -184,64 +671,286 @@
     setTimeout(() => URL.revokeObjectURL(url), 400);
   };
 
+  /* === ENCRYPTED EXPORTS === */
+  // Envelope v1: { format, v, kdf: PBKDF2-SHA256 with salt and iterations, cipher: AES-GCM with iv,
+  // data }. Binary fields are base64. GCM's tag means a wrong passphrase and an edited file fail alike.
+  const toB64 = (u8) => {
+    let s = "";
+    for (let i = 0; i < u8.length; i += 0x8000)
+      s += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+    return btoa(s);
+  };
+  const fromB64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+  // URL-safe base64 without padding, so save codes survive forums and chat apps.
+  const toB64url = (u8) => toB64(u8).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  const fromB64url = (s) =>
+    fromB64(s.replace(/-/g, "+").replace(/_/g, "/") + "=".repeat((4 - (s.length % 4)) % 4));
+
+  const subtle = () => {
+    if (!crypto?.subtle) throw new Error("Encryption needs a secure (https) page.");
+    return crypto.subtle;
+  };
+
+  const deriveKey = async (pass, salt, iterations) => {
+    const base = await subtle().importKey("raw", new TextEncoder().encode(pass), "PBKDF2", false, [
+      "deriveKey",
+    ]);
+    return subtle().deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      base,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  };
+
+  const isEncrypted = (o) => o?.format === CRYPT_FORMAT;
+
+  const encrypt = async (txt, pass) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16)),
+      iv = crypto.getRandomValues(new Uint8Array(12)),
+      key = await deriveKey(pass, salt, CRYPT_ITERATIONS),
+      data = await subtle().encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(txt));
+    return JSON.stringify({
+      format: CRYPT_FORMAT,
+      v: CRYPT_VERSION,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: CRYPT_ITERATIONS, salt: toB64(salt) },
+      cipher: { name: "AES-GCM", iv: toB64(iv) },
+      data: toB64(new Uint8Array(data)),
+    });
+  };
+
+  const decrypt = async (env, pass) => {
+    if (env.v !== CRYPT_VERSION)
+      throw new Error(`Encrypted with an unsupported format (v${env.v}). Update the script.`);
+    subtle();
+    // The count comes from the file: too low is no protection, too high freezes the tab.
+    const n = env.kdf?.iterations;
+    if (!Number.isInteger(n) || n < CRYPT_ITERATIONS || n > CRYPT_MAX_ITERATIONS)
+      throw new Error("The encrypted file has invalid key settings.");
+    try {
+      const key = await deriveKey(pass, fromB64(env.kdf.salt), n),
+        out = await subtle().decrypt(
+          { name: "AES-GCM", iv: fromB64(env.cipher.iv) },
+          key,
+          fromB64(env.data)
+        );
+      return new TextDecoder().decode(out);
+    } catch (err) {
+      throw new Error("Wrong passphrase, or the file has been modified.", { cause: err });
+    }
+  };
+
   /* === DATABASE WRAPPER === */
+  const storeErr = (e) =>
+    e?.name === "QuotaExceededError"
+      ? new Error("Browser storage is full. Export or delete old saves to make room.", { cause: e })
+      : e || new Error("Database error.");
+
+  // Committed writes are announced to the game's other tabs so their open managers can refresh.
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(DB_NAME) : null;
+
+  // Since version 2, STORE holds metadata only ({ id, game, meta, enc, size }) and the state blobs
+  // live in STATE_STORE, so listing a game never reads them. get() and put() deal in full records.
   class DB {
     open() {
       return (this.dbP =
         this.dbP ||
         new Promise((res, rej) => {
-          const r = indexedDB.open(DB_NAME, 1);
+          const r = indexedDB.open(DB_NAME, DB_VERSION);
           r.onupgradeneeded = (e) => {
             const db = e.target.result;
-            if (!db.objectStoreNames.contains(STORE)) {
-              const s = e.target.result.createObjectStore(STORE, { keyPath: "id" });
+            let s;
+            if (db.objectStoreNames.contains(STORE)) s = e.target.transaction.objectStore(STORE);
+            else {
+              s = db.createObjectStore(STORE, { keyPath: "id" });
               s.createIndex("game", "game");
               s.createIndex("ts", "meta.ts");
             }
+            if (db.objectStoreNames.contains(STATE_STORE)) return;
+            const st = db.createObjectStore(STATE_STORE, { keyPath: "id" });
+            // Version 1 kept the state inside each record; move it out.
+            s.openCursor().onsuccess = (ev) => {
+              const c = ev.target.result;
+              if (!c) return;
+              const { state, ...m } = c.value;
+              st.put({ id: m.id, state });
+              c.update({ ...m, size: recSize(c.value) });
+              c.continue();
+            };
+          };
+          r.onblocked = () =>
+            toast("Close other tabs of this game to finish upgrading saves", 5000);
+          r.onsuccess = (e) => {
+            const db = e.target.result;
+            // Let a newer version in another tab upgrade; the next call reopens.
+            db.onversionchange = () => {
+              db.close();
+              this.dbP = null;
+            };
+            res(db);
           };
-          r.onsuccess = (e) => res(e.target.result);
           r.onerror = rej;
         }));
     }
-    tx(mode, action, payload) {
+    // Runs fn in one transaction; fn gets a store getter and a fail(err) that aborts, and may return
+    // a function that builds the result. Resolves on commit, not on request success: quota
+    // failures only surface as an abort.
+    tx(stores, mode, fn) {
       return this.open().then(
         (db) =>
           new Promise((res, rej) => {
-            const s = db.transaction(STORE, mode).objectStore(STORE);
-            const req = action === "list" ? s.index("game").getAll(payload) : s[action](payload);
-            req.onsuccess = (e) => res(e.target.result);
-            req.onerror = rej;
+            const t = db.transaction(stores, mode);
+            let err;
+            const done = fn(
+              (name) => t.objectStore(name),
+              (e) => {
+                err = e;
+                t.abort();
+              }
+            );
+            t.oncomplete = () => {
+              res(done?.());
+              if (mode === "readwrite") channel?.postMessage("changed");
+            };
+            t.onabort = () => rej(err || storeErr(t.error));
           })
       );
     }
-    put(o) {
-      return this.tx("readwrite", "put", o);
+    write(s, rec) {
+      const { state, ...m } = rec;
+      s(STORE).put({ ...m, size: recSize(rec), sum: checksum(state) });
+      s(STATE_STORE).put({ id: rec.id, state });
+    }
+    put(rec) {
+      return this.tx([STORE, STATE_STORE], "readwrite", (s) => this.write(s, rec));
+    }
+    // Reads a game's records and applies plan(records) => { put, drop } in the same transaction,
+    // so another tab can't change them in between. Children of dropped saves are handed to the
+    // nearest surviving ancestor. Resolves with the dropped records, states included so they can
+    // be put back; plan may throw to abort.
+    swap(g, plan) {
+      return this.tx([STORE, STATE_STORE], "readwrite", (s, fail) => {
+        let drop = [];
+        s(STORE).index("game").getAll(g).onsuccess = (e) => {
+          const rs = e.target.result;
+          let p;
+          try {
+            p = plan(rs);
+          } catch (err) {
+            return fail(err);
+          }
+          drop = p.drop || [];
+          const gone = new Map(drop.map((r) => [r.id, r])),
+            up = (id) => {
+              while (gone.has(id)) id = gone.get(id).meta?.parent ?? null;
+              return id;
+            };
+          drop = drop.map((r) => {
+            const q = s(STATE_STORE).get(r.id);
+            s(STORE).delete(r.id);
+            s(STATE_STORE).delete(r.id);
+            return { r, q };
+          });
+          for (const r of rs)
+            if (!gone.has(r.id) && gone.has(r.meta?.parent))
+              s(STORE).put({ ...r, meta: { ...r.meta, parent: up(r.meta.parent) } });
+          if (p.put) {
+            p.put.meta.parent = up(p.put.meta.parent);
+            this.write(s, p.put);
+          }
+        };
+        return () => drop.map(({ r, q }) => ({ ...r, state: q.result?.state }));
+      });
+    }
+    // Updates metadata only; the stored state is left as it is.
+    putMeta(rec) {
+      const m = { ...rec };
+      delete m.state;
+      return this.tx([STORE], "readwrite", (s) => {
+        s(STORE).put(m);
+      });
     }
     get(id) {
-      return this.tx("readonly", "get", id);
+      return this.tx([STORE, STATE_STORE], "readonly", (s) => {
+        const m = s(STORE).get(id),
+          b = s(STATE_STORE).get(id);
+        return () => m.result && { ...m.result, state: b.result?.state };
+      });
+    }
+    getMeta(id) {
+      return this.tx([STORE], "readonly", (s) => {
+        const m = s(STORE).get(id);
+        return () => m.result;
+      });
     }
     delete(id) {
-      return this.tx("readwrite", "delete", id);
+      return this.tx([STORE, STATE_STORE], "readwrite", (s) => {
+        s(STORE).delete(id);
+        s(STATE_STORE).delete(id);
+      });
+    }
+    all() {
+      return this.tx([STORE], "readonly", (s) => {
+        const q = s(STORE).getAll();
+        return () => q.result || [];
+      });
     }
     list(g) {
-      return this.tx("readonly", "list", g).then((r) =>
-        (r || []).sort((a, b) => b.meta.ts - a.meta.ts)
-      );
+      return this.tx([STORE], "readonly", (s) => {
+        const q = s(STORE).index("game").getAll(g);
+        return () => (q.result || []).sort((a, b) => b.meta.ts - a.meta.ts);
+      });
+    }
+    // Attaches the state blobs to records from list()/all(), for the callers that need them.
+    withState(recs) {
+      return this.tx([STATE_STORE], "readonly", (s) => {
+        const q = recs.map((r) => s(STATE_STORE).get(r.id));
+        return () => recs.map((r, i) => ({ ...r, state: q[i].result?.state }));
+      });
     }
   }
 
   /* === CORE SAVE LOGIC === */
+  const pageWindow = () =>
+    typeof unsafeWindow !== "undefined" && unsafeWindow !== window ? unsafeWindow : window;
+
   const getCSApi = () => {
-    const w =
-      typeof unsafeWindow !== "undefined" && unsafeWindow !== window ? unsafeWindow : window;
+    const w = pageWindow();
     return typeof w.restoreObject === "function" && typeof w.initStore === "function"
       ? { r: w.restoreObject, i: w.initStore, w }
       : null;
   };
 
+  // Manager events, re-emitted by the scripting API. Details carry copies of the record without
+  // its state.
+  const events = new EventTarget();
+  const pub = (r) => r && JSON.parse(JSON.stringify({ ...r, state: undefined }));
+  const emit = (type, detail) => events.dispatchEvent(new CustomEvent(type, { detail }));
+
   class SaveManager {
     constructor() {
       this.db = new DB();
+      // Decoded stats by save id, kept while the save's checksum is unchanged.
+      this.statCache = new Map();
+    }
+
+    // Stats of each save for searching and sorting, as a Map by id. Saves that can't be decoded
+    // map to null and match no stat term.
+    async statsOf(recs) {
+      const miss = recs.filter(
+        (r) => !this.statCache.has(r.id) || this.statCache.get(r.id).sum !== r.sum
+      );
+      for (const r of miss.length ? await this.db.withState(miss) : []) {
+        let stats = null;
+        try {
+          stats = (await dec(r))?.stats || {};
+        } catch (e) {
+          console.warn(`Could not decode ${r.id} for search.`, e);
+        }
+        this.statCache.set(r.id, { sum: r.sum, stats });
+      }
+      return new Map(recs.map((r) => [r.id, this.statCache.get(r.id).stats]));
     }
 
     // Uses internal ChoiceScript restoreObject/initStore API.
@@ -258,7 +967,9 @@
 
     // Injects save into ChoiceScript cookie slot then triggers engine load.
     // Falls back to direct state injection if engine hooks unavailable.
-    async load(id) {
+    // Unless `snapshot` is false, the current progress is first kept in the "Before load" slot.
+    // Failures are shown as a toast; with `raise` they are also thrown to the caller.
+    async load(id, snapshot = true, raise = false) {
       try {
         const r = await this.db.get(id);
         if (!r) throw new Error("Save file missing from database.");
@@ -266,23 +977,47 @@
         const api = getCSApi();
         if (!api) throw new Error("Game API not found.");
 
-        const s = dec(r),
+        const s = await dec(r),
           st = api.i();
+        // If the snapshot can't be written, Undo Load would go back to an older state, so the
+        // load stops.
+        if (snapshot && !r.meta?.undo)
+          await this.snapshot().catch((e) => {
+            throw new Error(`your current progress could not be kept (${e.message}).`, {
+              cause: e,
+            });
+          });
         const slot = (api.w.storeName || "CS") + "_SAVE_" + uid();
         const parsedState = typeof s === "string" ? JSON.parse(s) : s;
         const { stats = {}, temps = {}, lineNum = 0, indent = 0 } = parsedState;
 
+        // Lineage, run and the event only follow once the engine has taken the state.
+        let done;
+        const loaded = new Promise((res) => (done = res)),
+          ok = () => {
+            setHead(r.game, r.id);
+            // Saves made after a load continue the loaded save's run.
+            setRun(r.game, r.meta?.run ? { id: r.meta.run, played: true } : null);
+            emit("save-loaded", pub(r));
+            done();
+          };
+
         const run = () => {
           try {
             const fn = api.w.loadAndRestoreGame || api.w.restoreGame;
             if (api.w.clearScreen && typeof fn === "function") {
-              return api.w.clearScreen(fn.bind(stats.scene, slot));
+              const v = api.w.clearScreen(fn.bind(stats.scene, slot));
+              ok();
+              return v;
             }
           } catch (err) {
             console.warn("Standard load execution failed, forcing reload.", err);
           }
           // Hard fallback: Inject full canonical state
-          st.set("state", parsedState, () => location.reload());
+          st.set("state", parsedState, () => {
+            ok();
+            location.reload();
+          });
         };
 
         try {
@@ -294,17 +1029,195 @@
         } catch (engineErr) {
           console.error("Engine save error, forcing hard state inject.", engineErr);
           // Hard fallback: Inject full canonical state
-          st.set("state", parsedState, () => location.reload());
+          st.set("state", parsedState, () => {
+            ok();
+            location.reload();
+          });
         }
+        await loaded;
       } catch (e) {
         toast("Load failed: " + e.message);
         console.error(e);
+        if (raise) throw e;
+      }
+    }
+
+    // Wraps the engine's saveCookie so page turns (which save to the "" slot) feed the autosave ring.
+    // Named slots are left alone, including the ones load() writes.
+    hook() {
+      const a = getCSApi();
+      if (!a || typeof a.w.saveCookie !== "function" || a.w.saveCookie.csHooked) return;
+      const orig = a.w.saveCookie,
+        onTurn = (stats) => {
+          this.trackRun(stats);
+          this.reach("scenes", stats?.sceneName, now());
+          this.queueAuto();
+        };
+      a.w.saveCookie = Object.assign(
+        function (cb, slot, ...rest) {
+          return orig.call(
+            this,
+            (...args) => {
+              if (!slot) onTurn(rest[0]);
+              if (typeof cb === "function") return cb(...args);
+            },
+            slot,
+            ...rest
+          );
+        },
+        { csHooked: true }
+      );
+      // *ending, and *finish out of the last scene, end a playthrough.
+      const P = a.w.Scene?.prototype,
+        mgr = this;
+      for (const cmd of ["ending", "finish"]) {
+        const fn = P?.[cmd];
+        if (typeof fn !== "function" || fn.csHooked) continue;
+        P[cmd] = Object.assign(
+          function (...args) {
+            // Without a scene list there is no last scene, so *finish ends nothing.
+            const list = a.w.nav?._sceneList || [],
+              last = list.length > 0 && list.indexOf(this.name) === list.length - 1;
+            if (cmd === "ending" || last)
+              mgr.reach("endings", `${this.name}:${this.lineNum}`, { ts: now(), cmd });
+            return fn.apply(this, args);
+          },
+          { csHooked: true }
+        );
+      }
+    }
+
+    // Keeps the first time each scene and each ending of a game was reached, across runs.
+    reach(kind, key, val, g = gameId()) {
+      const m = readJson(PROGRESS_KEY),
+        p = (m[g] ||= { scenes: {}, endings: {} });
+      if (!key || p[kind][key]) return;
+      p[kind][key] = val;
+      writeJson(PROGRESS_KEY, m);
+    }
+
+    // What is known of a game's progress: when each scene was first reached (page turns seen by the
+    // manager, or else the oldest save made there), the earliest save per scene, the endings, and
+    // the engine's scene list when it is known.
+    async progress(g) {
+      const p = readJson(PROGRESS_KEY)[g] || {},
+        scenes = { ...p.scenes },
+        first = {};
+      for (const r of await this.db.list(g)) {
+        const s = r.meta?.scene;
+        if (!s) continue;
+        if (!(first[s]?.meta.ts <= r.meta.ts)) first[s] = r;
+        if (!(scenes[s] <= r.meta.ts)) scenes[s] = r.meta.ts;
+      }
+      const list = (g === gameId() ? fingerprint() : readJson(IDENT_KEY)[g])?.scenes || [];
+      return { scenes, first, list, endings: p.endings || {} };
+    }
+
+    // A page turn in the first scene with every stat still at its starting value is the start of a
+    // game. If the current run has been played past that point, a new run begins.
+    trackRun(stats) {
+      const w = getCSApi()?.w;
+      if (!w || !stats) return;
+      const g = gameId(),
+        run = getRun(g),
+        start = w.nav?.startingStats || {},
+        fresh =
+          stats.sceneName === (w.nav?._sceneList?.[0] || "startup") &&
+          Object.keys(start).every((k) => stats[k] === start[k]);
+      if (fresh) {
+        if (!run || run.played) setRun(g, { id: uid(), played: false });
+      } else if (run && !run.played) setRun(g, { ...run, played: true });
+    }
+
+    // The run new saves of `g` belong to, started here if the game was never seen starting.
+    runId(g) {
+      const run = getRun(g) || { id: uid(), played: true };
+      setRun(g, run);
+      return run.id;
+    }
+
+    setRunName(id, name) {
+      const m = readJson(RUN_NAMES_KEY);
+      if (name) m[id] = name;
+      else delete m[id];
+      writeJson(RUN_NAMES_KEY, m);
+    }
+
+    queueAuto() {
+      if (!settings.autosave.enabled) return;
+      clearTimeout(this.autoT);
+      this.autoT = setTimeout(
+        () => this.auto().catch((e) => console.warn("Autosave failed.", e)),
+        400
+      );
+    }
+
+    // Keeps a ring of the last N autosaves per game, skipping states identical to the newest one.
+    async auto() {
+      const s = JSON.stringify(await this.capture()),
+        g = gameId();
+      if (this.lastAuto?.game !== g) {
+        const last = (await this.db.list(g)).find((r) => r.meta?.auto);
+        this.lastAuto = {
+          game: g,
+          state: last ? JSON.stringify(await dec(await this.db.get(last.id))) : null,
+        };
+      }
+      if (this.lastAuto.state === s) return;
+
+      await this.create("Autosave", { auto: true });
+      this.lastAuto.state = s;
+
+      const autos = (await this.db.list(g)).filter((r) => r.meta?.auto && !r.meta.locked);
+      await this.remove(autos.slice(settings.autosave.depth).map((r) => r.id));
+    }
+
+    // One "Before load" save per game, replaced on every load so a misclicked load can be undone.
+    // A locked one is kept, but as an ordinary save, so Undo Load always means the latest load.
+    // With no current state yet (a fresh game) there is nothing to keep: the old one is still
+    // retired, so Undo Load can't go back past this load.
+    async snapshot() {
+      const old = (await this.db.list(gameId())).filter((r) => r.meta?.undo);
+      if (await this.capture().catch(() => null)) await this.create("Before load", { undo: true });
+      for (const r of old.filter((x) => x.meta.locked))
+        await this.db.putMeta({ ...r, meta: { ...r.meta, undo: false } });
+      await this.remove(old.map((r) => r.id));
+    }
+
+    async undoLoad() {
+      const r = (await this.db.list(gameId())).find((x) => x.meta?.undo);
+      if (!r) throw new Error("No load to undo.");
+      await this.load(r.id, false);
+    }
+
+    async create(name = "", opts = {}) {
+      const rec = await this.build(name, opts);
+      await this.checkRoom(rec);
+      await this.db.put(rec);
+      await this.readBack(rec);
+      await this.settle(rec);
+      return rec;
+    }
+
+    // Test-decodes a save straight after writing it, so a bad write is reported now rather than
+    // when the save is needed. A save that doesn't read back is deleted.
+    async readBack(rec) {
+      try {
+        const r = await this.db.get(rec.id);
+        if (!r || r.sum !== checksum(rec.state)) throw new Error("stored data differs");
+        await dec(r);
+      } catch (err) {
+        await this.db.delete(rec.id).catch(() => {});
+        throw new Error(`Save failed: it could not be read back (${err.message}).`, { cause: err });
       }
     }
 
-    async create(name = "", quick = null) {
+    // A new record of the current state, not yet written.
+    async build(name = "", { quick = null, auto = false, undo = false } = {}) {
       const s = await this.capture(),
-        e = enc(s);
+        e = await enc(s),
+        g = gameId(),
+        id = `${g}_${now()}_${uid()}`;
       const max = Math.max(
         0,
         ...(await this.db.list(gameId())).map((r) => {
@@ -314,96 +1227,678 @@
         })
       );
 
-      await this.db.put({
-        id: `${gameId()}_${now()}_${uid()}`,
-        game: gameId(),
+      return {
+        id,
+        game: g,
         meta: {
           name: name?.trim() || `Save ${max + 1}`,
           scene: s.stats?.sceneName || "",
           ts: now(),
           quick,
+          auto,
+          undo,
+          parent: getHead(g),
+          run: this.runId(g),
+          note: "",
+          tags: [],
+          pinned: false,
+          locked: false,
+          preview: pagePreview(),
           fmt: METADATA_FORMAT_VERSION,
         },
         state: e.state,
         enc: e.enc,
-      });
+      };
+    }
+
+    // Bookkeeping after a new save is written.
+    async settle(rec) {
+      emit("save-created", pub(rec));
+      // Autosaves and snapshots hang off the current branch without moving it, since they rotate out.
+      if (!rec.meta.auto && !rec.meta.undo) setHead(rec.game, rec.id);
+      await this.retentionHint(rec.game).catch((err) =>
+        console.warn("Retention check failed.", err)
+      );
+    }
+
+    // Cleanup rules never delete on their own. Once per game and page, a save that leaves some
+    // saves over the rules points the player to the preview, where deleting is confirmed.
+    async retentionHint(g) {
+      if (this.hinted?.has(g)) return;
+      const n = (await this.retentionPlan(g)).length;
+      if (!n) return;
+      (this.hinted ||= new Set()).add(g);
+      toast(`Saves over the cleanup rules: ${n}. Review them in Settings > Preview cleanup.`, 4000);
+    }
+
+    // Refuses a write that would not fit in the browser's quota, and warns once when it gets tight.
+    async checkRoom(rec) {
+      const q = await quota();
+      if (!q) return;
+      const need = q.usage + recSize(rec);
+      if (need > q.quota)
+        throw new Error(
+          `Not enough browser storage for this save (${fmtSize(Math.max(0, q.quota - q.usage))} free). Export or delete old saves.`
+        );
+      if (need / q.quota > 0.9 && !this.quotaWarned) {
+        this.quotaWarned = true;
+        toast(`Browser storage is ${Math.round((need / q.quota) * 100)}% full`, 4000);
+      }
+    }
+
+    // Saves the game's retention rules would delete, with the rule that caught each one.
+    // The newest save is never included, and neither are pinned or locked ones or the "Before load"
+    // save that Undo Load needs.
+    async retentionPlan(g = gameId()) {
+      const rule = retentionFor(g),
+        rs = await this.db.list(g),
+        out = new Map();
+      const keep = (r) => r === rs[0] || r.meta?.pinned || r.meta?.locked || r.meta?.undo;
+      const drop = (r, why) => !keep(r) && !out.has(r.id) && out.set(r.id, { rec: r, why });
+
+      if (rule.keep > 0)
+        rs.filter(
+          (r) =>
+            r.meta?.quick == null &&
+            !r.meta?.auto &&
+            !r.meta?.undo &&
+            !r.meta?.pinned &&
+            !r.meta?.locked
+        )
+          .slice(rule.keep)
+          .forEach((r) => drop(r, `Beyond the newest ${rule.keep} manual saves`));
+      if (rule.days > 0) {
+        const cut = now() - rule.days * 864e5;
+        rs.filter((r) => (r.meta?.quick != null || r.meta?.auto) && r.meta.ts < cut).forEach((r) =>
+          drop(r, `Quick/auto save older than ${rule.days} days`)
+        );
+      }
+      if (rule.kb > 0) {
+        let total = rs.filter((r) => !out.has(r.id)).reduce((n, r) => n + recSize(r), 0);
+        for (const r of rs.slice().reverse()) {
+          if (total <= rule.kb * 1024) break;
+          if (out.has(r.id) || keep(r)) continue;
+          drop(r, `Over the ${rule.kb} KB size cap`);
+          total -= recSize(r);
+        }
+      }
+      return [...out.values()];
+    }
+
+    // Takes a save out of its game's lineage, handing its children to its own parent.
+    async detach(r) {
+      const parent = r.meta?.parent ?? null;
+      for (const c of await this.db.list(r.game)) {
+        if (c.meta?.parent !== r.id) continue;
+        c.meta.parent = parent;
+        await this.db.putMeta(c);
+      }
+      if (getHead(r.game) === r.id) setHead(r.game, parent);
+    }
+
+    // Deletes saves, keeping the lineage connected. Locked saves are left alone; returns how many
+    // were actually deleted.
+    async remove(ids) {
+      let n = 0;
+      for (const id of ids) {
+        const r = await this.db.getMeta(id);
+        if (!r || r.meta?.locked) continue;
+        await this.detach(r);
+        await this.db.delete(id);
+        emit("save-deleted", pub(r));
+        n++;
+      }
+      return n;
     }
 
+    // Checks every save of a game without changing anything: each one must decode with a matching
+    // checksum, and its lineage and quick slot must make sense. `broken` marks saves that can't be
+    // loaded at all, as opposed to merely inconsistent ones.
+    async scan(g = gameId()) {
+      const rs = await this.db.withState(await this.db.list(g)),
+        ids = new Set(rs.map((r) => r.id)),
+        slots = new Set(),
+        bad = [];
+      for (const r of rs.slice().reverse()) {
+        let why = null,
+          broken = false;
+        try {
+          await validate(r);
+          const q = r.meta.quick;
+          if (r.meta.parent && !ids.has(r.meta.parent)) why = "Parent save is missing";
+          else if (q != null && (!(q >= 1 && q <= QUICK_SLOTS) || slots.has(q)))
+            why = `Quick slot ${q} is invalid or taken twice`;
+          if (q != null) slots.add(q);
+        } catch (err) {
+          why = err.message;
+          broken = true;
+        }
+        if (why) bad.push({ rec: r, why, broken, pick: broken });
+      }
+      return { total: rs.length, bad };
+    }
+
+    // Moves saves to a separate "quarantine:<game>" entry in the Library, out of the way but not
+    // deleted. Returns the count.
+    async quarantine(ids) {
+      let n = 0;
+      for (const id of ids) {
+        const r = await this.db.getMeta(id);
+        if (!r || r.game.startsWith(QUARANTINE)) continue;
+        await this.detach(r);
+        await this.db.putMeta({ ...r, game: QUARANTINE + r.game });
+        // Gone from the game as far as listeners are concerned.
+        emit("save-deleted", pub(r));
+        n++;
+      }
+      return n;
+    }
+
+    // Picking the slot and replacing its save happen in one transaction, so two tabs quick saving
+    // at once can't take the same slot or delete each other's save.
     async quick() {
-      const allSaves = await this.db.list(gameId());
-      const qSaves = allSaves
-        .filter((r) => r.meta?.quick != null)
-        .sort((a, b) => a.meta.ts - b.meta.ts);
-
-      let s = 1;
-      if (qSaves.length < QUICK_SLOTS) {
-        const usedSlots = new Set(qSaves.map((r) => r.meta.quick));
-        for (let i = 1; i <= QUICK_SLOTS; i++) {
-          if (!usedSlots.has(i)) {
-            s = i;
-            break;
-          }
+      const rec = await this.build("", { quick: 1 });
+      await this.checkRoom(rec);
+      const dropped = await this.db.swap(rec.game, (rs) => {
+        const q = rs.filter((r) => r.meta?.quick != null).sort((a, b) => a.meta.ts - b.meta.ts),
+          used = new Set(q.map((r) => r.meta.quick));
+        let s = 1;
+        while (s <= QUICK_SLOTS && used.has(s)) s++;
+        if (s > QUICK_SLOTS) {
+          // Locked slots are skipped when rotating.
+          const free = q.find((r) => !r.meta.locked);
+          if (!free) throw new Error("All quick slots are locked.");
+          s = free.meta.quick;
+        }
+        Object.assign(rec.meta, { quick: s, name: `Slot ${s}/${QUICK_SLOTS}` });
+        return { put: rec, drop: q.filter((r) => r.meta.quick === s && !r.meta.locked) };
+      });
+      try {
+        await this.readBack(rec);
+      } catch (err) {
+        // The new save is gone again, so the slot gets its previous save back.
+        for (const r of dropped) await this.db.put(r);
+        throw err;
+      }
+      dropped.forEach((r) => emit("save-deleted", pub(r)));
+      await this.settle(rec);
+      return rec;
+    }
+
+    // Stores an edited state, either over the source record or as a new save beside it.
+    // Either way the record is stamped with meta.modified so the list can flag it.
+    async write(r, s, asNew = false) {
+      const e = await enc(s),
+        rec = {
+          ...r,
+          meta: { ...r.meta, scene: s.stats?.sceneName || "", modified: now() },
+          state: e.state,
+          enc: e.enc,
+        };
+      if (asNew) {
+        rec.id = `${r.game}_${now()}_${uid()}`;
+        Object.assign(rec.meta, {
+          name: `${r.meta?.name || "Unnamed Save"} (edited)`,
+          ts: now(),
+          quick: null,
+          auto: false,
+          pinned: false,
+          locked: false,
+          undo: false,
+          parent: r.id,
+        });
+      }
+      await this.db.put(rec);
+      emit(asNew ? "save-created" : "save-updated", pub(rec));
+      return rec;
+    }
+
+    async lastQuick() {
+      const r = (await this.db.list(gameId())).find((x) => x.meta?.quick != null);
+      if (!r) throw new Error("No quick save to load.");
+      return r;
+    }
+
+    // The current state as an unsaved record, for the export bar to write out.
+    async exportCurrent() {
+      const s = await this.capture(),
+        e = await enc(s);
+      return {
+        id: `${gameId()}_export_${now()}_${uid()}`,
+        game: gameId(),
+        meta: {
+          name: "Exported State",
+          scene: s.stats?.sceneName || "",
+          ts: now(),
+          quick: null,
+          fmt: METADATA_FORMAT_VERSION,
+        },
+        state: e.state,
+        enc: e.enc,
+      };
+    }
+
+    readStore(key) {
+      const a = getCSApi();
+      return new Promise((res) => (a ? a.r(a.i(), key, null, res) : res(null)));
+    }
+
+    // Turns a foreign engine state into a manager record. The older plugins name their slots
+    // "save<Date.now()>", so a 13-digit run in the key is taken as the save time.
+    async fromLegacy(key, s, source) {
+      const e = await enc(s),
+        g = gameId(),
+        ts = Number((key.match(/\d{12,13}/) || [])[0]);
+      return {
+        id: `${g}_legacy_${now()}_${uid()}`,
+        game: g,
+        meta: {
+          name:
+            s.stats._saveName ||
+            (key === "state" ? "Engine autosave" : key.replace(/^state/, "") || "Imported save"),
+          scene: s.stats.sceneName || "",
+          ts: ts > 1e12 && ts <= now() ? ts : now(),
+          quick: null,
+          auto: false,
+          parent: null,
+          run: null,
+          note: "",
+          tags: [],
+          pinned: false,
+          locked: false,
+          source,
+          fmt: METADATA_FORMAT_VERSION,
+        },
+        state: e.state,
+        enc: e.enc,
+      };
+    }
+
+    // One save as a text code: SAVE_CODE, "z" (gzip) or "p" (plain), the base64url payload and its
+    // checksum, joined by dots. The payload keeps only the game, name, scene, time and state.
+    async saveCode(id) {
+      const r = await this.db.get(id);
+      if (!r) throw new Error("Save file missing from database.");
+      const { game: g, meta } = r,
+        json = new TextEncoder().encode(
+          JSON.stringify({ g, n: meta.name, s: meta.scene, t: meta.ts, d: await dec(r) })
+        ),
+        data = toB64url(HAS_GZIP ? await pipe(json, new CompressionStream("gzip")) : json);
+      return [SAVE_CODE, HAS_GZIP ? "z" : "p", data, checksum(data)].join(".");
+    }
+
+    // Turns a pasted save code back into a record for the import review. Whitespace that chat apps
+    // add when wrapping is ignored; a code that was cut short or edited is refused.
+    async fromCode(text) {
+      const [tag, mode, data, sum] = (text || "").replace(/\s+/g, "").split(".");
+      if (tag !== SAVE_CODE || !["z", "p"].includes(mode) || !data)
+        throw new Error("That is not a save code.");
+      if (checksum(data) !== sum) throw new Error("The save code is incomplete or was changed.");
+      if (mode === "z" && !HAS_GZIP)
+        throw new Error("This browser can't decompress save codes (no DecompressionStream).");
+      let p;
+      try {
+        const b = fromB64url(data);
+        p = JSON.parse(
+          new TextDecoder().decode(
+            mode === "z" ? await pipe(b, new DecompressionStream("gzip")) : b
+          )
+        );
+      } catch (err) {
+        throw new Error("The save code could not be read.", { cause: err });
+      }
+      if (!p?.d?.stats) throw new Error("The save code holds no game state.");
+      // The id is built from this game only: a pasted code is untrusted and its "g" is free text.
+      const e = await enc(p.d),
+        g = typeof p.g === "string" && p.g ? p.g : gameId();
+      return {
+        id: `${gameId()}_code_${now()}_${uid()}`,
+        game: g,
+        meta: {
+          name: p.n || "Shared save",
+          scene: p.s || p.d.stats.sceneName || "",
+          ts: Number(p.t) || now(),
+          quick: null,
+          auto: false,
+          parent: null,
+          run: null,
+          note: "",
+          tags: [],
+          pinned: false,
+          locked: false,
+          source: `Save code from ${g}`,
+          fmt: METADATA_FORMAT_VERSION,
+        },
+        state: e.state,
+        enc: e.enc,
+      };
+    }
+
+    // Finds saves in the engine's own persistent store: its autosave ("state") and any named slots,
+    // which is where ChoiceScriptSavePlugin and its injector keep theirs, listed under "save_list".
+    // Slots written by our own load() are skipped.
+    async scanLegacy() {
+      const name = getCSApi()?.w.storeName,
+        pre = name ? psEsc(name) + "PS" : null,
+        found = new Map();
+      const add = (key, v, source) => {
+        if (found.has(key) || /_SAVE_/.test(key)) return;
+        const s = findStates(v)[0]?.state;
+        if (s) found.set(key, this.fromLegacy(key, s, source));
+      };
+
+      for (let i = 0; i < localStorage.length; i++) {
+        const k = localStorage.key(i),
+          m = pre
+            ? k.startsWith(pre)
+              ? [k, k.slice(pre.length)]
+              : null
+            : k.match(/^PS.*?PS(state.*)$/);
+        const key = m && psUnesc(m[1]);
+        if (key?.startsWith("state"))
+          add(
+            key,
+            localStorage.getItem(k),
+            /^statesave\d/.test(key) ? "Save plugin" : "Engine store"
+          );
+      }
+
+      const list = await this.readStore("save_list");
+      for (const id of Array.isArray(list) ? list : []) {
+        for (const key of ["state" + id, "statesave" + id]) {
+          if (!found.has(key)) add(key, await this.readStore(key), "Save plugin");
+        }
+      }
+      return (await Promise.all(found.values())).sort((a, b) => b.meta.ts - a.meta.ts);
+    }
+
+    // Returns null for the manager's own export format, otherwise whatever foreign states the file holds.
+    async fromFile(json) {
+      let parsed;
+      try {
+        parsed = JSON.parse(json);
+      } catch (err) {
+        throw new Error("Invalid or corrupted JSON file.", { cause: err });
+      }
+      if (Array.isArray(parsed) && parsed.some((r) => r?.meta && r?.state != null)) return null;
+      return Promise.all(
+        findStates(parsed).map(({ key, state }) => this.fromLegacy(key, state, "File"))
+      );
+    }
+
+    // Per-game totals across the whole database, including games whose id no longer matches any
+    // page. Size is the length of each record's JSON, which is close enough to compare games.
+    async library() {
+      const games = new Map();
+      for (const r of await this.db.all()) {
+        const x = games.get(r.game) || { game: r.game, count: 0, last: 0, size: 0 };
+        x.count++;
+        x.last = Math.max(x.last, r.meta?.ts || 0);
+        x.size += recSize(r);
+        games.set(r.game, x);
+      }
+      return [...games.values()].sort((a, b) => b.last - a.last);
+    }
+
+    // Drops every unlocked save of a game at once. Lineage only needs repairing when locked
+    // saves are left behind.
+    async removeGame(g) {
+      const rs = await this.db.list(g);
+      if (rs.some((r) => r.meta?.locked)) return this.remove(rs.map((r) => r.id));
+      for (const r of rs) {
+        await this.db.delete(r.id);
+        emit("save-deleted", pub(r));
+      }
+      setHead(g, null);
+      return rs.length;
+    }
+
+    // Records this game's fingerprint and returns other known game ids that look like the same game
+    // and still have saves, leaving out ones the player chose to keep apart.
+    async identify() {
+      const g = gameId(),
+        fp = fingerprint(),
+        ids = readJson(IDENT_KEY);
+      if (!fp) return [];
+      ids[g] = { ...fp, ignore: ids[g]?.ignore || [], seen: now() };
+      writeJson(IDENT_KEY, ids);
+      const out = [];
+      for (const [k, v] of Object.entries(ids)) {
+        if (k === g || ids[g].ignore.includes(k) || resolveGame(k) === g || !sameGame(fp, v))
+          continue;
+        const n = (await this.db.list(k)).length;
+        if (n) out.push({ game: k, count: n });
+      }
+      return (this.linkable = out);
+    }
+
+    ignoreLink(other) {
+      const ids = readJson(IDENT_KEY),
+        g = gameId();
+      ids[g] = { ...ids[g], ignore: [...(ids[g]?.ignore || []), other] };
+      writeJson(IDENT_KEY, ids);
+      this.linkable = (this.linkable || []).filter((x) => x.game !== other);
+    }
+
+    // Moves every save of `from` to `to` and makes `from` an alias of `to`, so pages that still
+    // come up as `from` see the merged saves. With a new `to` this is a rename. Returns the count.
+    async mergeGame(from, to) {
+      to = resolveGame((to || "").trim());
+      if (!to || to === from) throw new Error("Pick a different game id.");
+      const rs = await this.db.list(from);
+      for (const r of rs) await this.db.putMeta({ ...r, game: to });
+
+      if (!getHead(to)) setHead(to, getHead(from));
+      setHead(from, null);
+      if (!getRun(to)) setRun(to, getRun(from));
+      setRun(from, null);
+      // Progress is combined, keeping the earlier of two first visits.
+      const prog = readJson(PROGRESS_KEY),
+        pf = prog[from] || {},
+        pt = (prog[to] ||= { scenes: {}, endings: {} });
+      for (const [k, ts] of Object.entries(pf.scenes || {}))
+        if (!(pt.scenes[k] <= ts)) pt.scenes[k] = ts;
+      for (const [k, x] of Object.entries(pf.endings || {}))
+        if (!(pt.endings[k]?.ts <= x.ts)) pt.endings[k] = x;
+      delete prog[from];
+      writeJson(PROGRESS_KEY, prog);
+      if (settings.retention[from] && !settings.retention[to])
+        settings.retention[to] = settings.retention[from];
+      delete settings.retention[from];
+      saveSettings();
+
+      const ids = readJson(IDENT_KEY);
+      if (ids[from] && !ids[to]) ids[to] = ids[from];
+      delete ids[from];
+      writeJson(IDENT_KEY, ids);
+
+      const m = readJson(ALIAS_KEY);
+      for (const k of Object.keys(m)) if (m[k] === from) m[k] = to;
+      delete m[to];
+      m[from] = to;
+      writeJson(ALIAS_KEY, m);
+      this.linkable = (this.linkable || []).filter((x) => x.game !== from && x.game !== to);
+      return rs.length;
+    }
+
+    // Updates a save's note, tags, pin and lock without touching its state.
+    async setInfo(id, { note, tags, pinned, locked }) {
+      const r = await this.db.getMeta(id);
+      if (!r) throw new Error("Save not found.");
+      r.meta = { ...r.meta, note, tags: normTags(tags), pinned, locked };
+      await this.db.putMeta(r);
+      return r;
+    }
+
+    // Decrypts an encrypted export with the passphrase from ask(); any other file is returned as is.
+    async unwrap(text, ask) {
+      let env;
+      try {
+        env = JSON.parse(text);
+      } catch {
+        return text;
+      }
+      if (!isEncrypted(env)) return text;
+      const pass = await ask();
+      if (!pass) throw new Error("This file is encrypted; a passphrase is needed.");
+      return decrypt(env, pass);
+    }
+
+    // Parses the manager's own export format. Every record is upgraded and validated on its own;
+    // the ones that fail come back in `rejected` with the reason.
+    async parseImport(json) {
+      let parsed;
+      try {
+        parsed = JSON.parse(json);
+      } catch (err) {
+        throw new Error("Invalid or corrupted JSON file.", { cause: err });
+      }
+      if (!Array.isArray(parsed)) throw new Error("Invalid format");
+      if (!parsed.length) throw new Error("No valid saves found in file.");
+
+      const entries = [],
+        rejected = [];
+      for (const [i, r] of parsed.entries()) {
+        try {
+          entries.push(await migrate(r));
+        } catch (err) {
+          rejected.push({ name: r?.meta?.name || r?.id || `Record ${i + 1}`, why: err.message });
+        }
+      }
+      return { entries, rejected };
+    }
+
+    // Compares incoming records with this game's saves. An item is a duplicate when its id is
+    // already taken (by this game's saves or earlier in the same batch) or when an
+    // existing save holds the identical state. Duplicates default to "skip", the rest to "import".
+    // A duplicate of a locked save is marked `locked` and can't be overwritten.
+    async review(entries) {
+      const g = gameId(),
+        byState = new Map(),
+        batch = new Set();
+      for (const r of await this.db.withState(await this.db.list(g))) {
+        try {
+          byState.set(JSON.stringify(await dec(r)), r);
+        } catch {
+          /* unreadable saves can't match anything */
         }
-      } else {
-        s = qSaves[0].meta.quick;
       }
 
-      for (const r of qSaves) {
-        if (r.meta.quick === s) await this.db.delete(r.id);
+      const items = [];
+      for (let { rec, from = null } of entries) {
+        const same = byState.get(JSON.stringify(await dec(rec))),
+          held = batch.has(rec.id) ? null : await this.db.getMeta(rec.id);
+        // Another game's save with the same id is no duplicate of this game's. The import gets a
+        // fresh id, so "Overwrite" can never replace a save outside this game.
+        if (held && held.game !== g) rec = { ...rec, id: `${g}_${now()}_${uid()}` };
+        const taken = batch.has(rec.id) || (held && held.game === g);
+        batch.add(rec.id);
+        const dup = taken ? "id" : same ? "state" : null,
+          hit = dup === "state" ? same : dup === "id" && held?.game === g ? held : null;
+        items.push({
+          rec,
+          from,
+          dup,
+          match: dup === "state" ? same.id : rec.id,
+          matchName: same?.meta?.name || "",
+          foreign: rec.game && rec.game !== g ? rec.game : null,
+          locked: !!hit?.meta?.locked,
+          act: dup ? "skip" : "import",
+        });
       }
-
-      await this.create(`Slot ${s}/${QUICK_SLOTS}`, s);
+      return items;
     }
 
-    async exportCurrent() {
-      const s = await this.capture(),
-        e = enc(s);
-      return JSON.stringify([
-        {
-          id: `${gameId()}_export_${now()}_${uid()}`,
-          game: gameId(),
-          meta: {
-            name: "Exported State",
-            scene: s.stats?.sceneName || "",
-            ts: now(),
-            quick: null,
-            fmt: METADATA_FORMAT_VERSION,
-          },
-          state: e.state,
-          enc: e.enc,
-        },
-      ]);
+    // Writes reviewed items. "overwrite" replaces the save it collided with, "keep" stores a
+    // duplicate under a fresh id when its own is taken. Records always land in the current game.
+    // A locked save is never overwritten: that item is kept beside it instead. A parent that
+    // was left behind (or re-issued a new id) is dropped, so the save starts its own lineage.
+    async commitImport(items) {
+      const g = gameId(),
+        recs = [];
+      for (let { rec, act, dup, match } of items) {
+        if (act === "skip") continue;
+        if (act === "overwrite" && (await this.db.getMeta(match))?.meta?.locked) act = "keep";
+        // An imported "Before load" or autosave copy is an ordinary save here.
+        const r = { ...rec, game: g, meta: { ...rec.meta, undo: false, auto: false } };
+        if (act === "overwrite" && dup) r.id = match;
+        else if (dup === "id") r.id = `${g}_${now()}_${uid()}`;
+        recs.push(r);
+      }
+      const ids = new Set([...(await this.db.list(g)), ...recs].map((r) => r.id)),
+        done = [];
+      for (const r of recs) {
+        if (r.meta.parent && !ids.has(r.meta.parent)) r.meta.parent = null;
+        await this.db.put(r);
+        done.push(pub(r));
+      }
+      emit("import-finished", { imported: done, skipped: items.length - done.length });
+      return done.length;
     }
 
-    async import(json) {
-      try {
-        const parsed = JSON.parse(json);
-        if (!Array.isArray(parsed)) throw new Error("Invalid format");
+    // Non-interactive import with the default resolution (duplicates skipped).
+    async import(json, pass = "") {
+      json = await this.unwrap(json, () => pass);
+      const { entries, rejected } = await this.parseImport(json),
+        items = await this.review(entries),
+        name = (i) => i.rec.meta?.name || i.rec.id;
+      await this.commitImport(items);
+      return {
+        imported: items.filter((i) => i.act !== "skip").map(name),
+        upgraded: items.filter((i) => i.from < METADATA_FORMAT_VERSION).map(name),
+        skipped: items.filter((i) => i.act === "skip").map(name),
+        rejected,
+      };
+    }
 
-        const version = parsed[0]?.meta?.fmt || 0;
-        if (version !== METADATA_FORMAT_VERSION) {
-          throw new Error("Incompatible save version");
+    // Rewrites every stored save in the current encoding (gzip, or plain with compression off).
+    // Returns how many changed; saves that fail to decode are left as they are.
+    async reencode() {
+      const want = settings.compression && HAS_GZIP ? STATE_GZIP : STATE_PLAIN;
+      let n = 0;
+      for (const r of await this.db.all()) {
+        if (r.enc === want) continue;
+        try {
+          await this.db.put({ ...r, ...(await enc(await dec(await this.db.get(r.id)))) });
+          n++;
+        } catch (err) {
+          console.warn(`Could not re-encode save ${r.id}: ${err.message}`);
         }
+      }
+      return n;
+    }
 
-        const valid = parsed.filter((r) => r?.id && r?.state && r?.meta?.ts != null);
-        if (!valid.length) throw new Error("No valid saves found in file.");
-
-        await Promise.all(
-          valid.map((r) => {
-            r.game = gameId();
-            return this.db.put(r);
-          })
-        );
-      } catch (err) {
-        throw new Error(
-          err.message === "Invalid format" ||
-            err.message === "No valid saves found in file." ||
-            err.message === "Incompatible save version"
-            ? err.message
-            : "Invalid or corrupted JSON file.",
-          { cause: err }
-        );
+    // Runs stored records through the migration pipeline once per script or format version.
+    // Records that fail to upgrade are left untouched rather than deleted.
+    async upgradeStored() {
+      const mark = `${SCRIPT_VERSION}/${METADATA_FORMAT_VERSION}`;
+      let seen = null;
+      try {
+        seen = localStorage.getItem(VERSION_KEY);
+      } catch {
+        /* blocked storage: check the records instead */
+      }
+      if (seen === mark) return 0;
+      let n = 0;
+      for (const r of await this.db.all()) {
+        const from = Number(r.meta?.fmt) || 0;
+        if (from >= METADATA_FORMAT_VERSION) continue;
+        try {
+          // A record with a checksum only needs new metadata. Older ones are read back, checked
+          // and rewritten in full so the checksum gets filled in.
+          if (r.sum) await this.db.putMeta(upgradeMeta(r, from));
+          else await this.db.put((await migrate(await this.db.get(r.id))).rec);
+          n++;
+        } catch (err) {
+          console.warn(`Could not upgrade save ${r?.id}: ${err.message}`);
+        }
+      }
+      try {
+        localStorage.setItem(VERSION_KEY, mark);
+      } catch (e) {
+        console.warn(`Could not write ${VERSION_KEY} to localStorage`, e);
       }
+      return n;
     }
   }
 
@@ -417,8 +1912,29 @@
         sort: "newest",
         setOpen: false,
         editId: null,
+        infoId: null,
+        tag: "",
+        limit: LIST_PAGE,
+        runs: false,
+        runShut: new Set(),
+        prevOpen: new Set(),
+        panel: null,
+        game: null,
         rows: [],
       });
+      channel?.addEventListener("message", () => this.refresh());
+    }
+
+    // Another tab changed the database. The list is refetched shortly after, or once an open
+    // rename or notes editor is closed so typing isn't thrown away.
+    refresh() {
+      this.stale = true;
+      clearTimeout(this.refreshT);
+      this.refreshT = setTimeout(() => {
+        if (!this.box || this.editId != null || this.infoId != null) return;
+        this.renderList().catch((err) => console.warn("Could not refresh saves.", err));
+        if (this.panel?.kind === "library") this.showLibrary();
+      }, 200);
     }
 
     async show() {
@@ -443,13 +1959,15 @@
       };
       window.addEventListener("keydown", this.onEsc);
       ["keydown", "keyup", "keypress"].forEach((evt) => {
+        // Escape and the Manager hotkey still reach the window, so either one closes the Modal.
         this.box.addEventListener(evt, (e) => {
-          if (e.key !== "Escape") e.stopPropagation();
+          if (e.key !== "Escape" && comboOf(e) !== settings.keys.manager) e.stopPropagation();
         });
       });
 
       this.renderShell();
       this.attachMasterEvents();
+      this.showQuota();
       await this.renderList(true);
     }
 
@@ -459,37 +1977,96 @@
       this.box = null;
       this.sel.clear();
       this.editId = null;
+      this.infoId = null;
+      this.limit = LIST_PAGE;
+      this.panel = null;
+      this.game = null;
+      this.binding = null;
+    }
+
+    // The game whose saves are listed; the library can point this at another game.
+    viewGame() {
+      return this.game || gameId();
+    }
+
+    foreign() {
+      return this.viewGame() !== gameId();
     }
 
     apply() {
-      try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
-      } catch (e) {
-        console.warn("Could not save settings to localStorage", e);
-      }
+      saveSettings();
       document.getElementById("cs-controls")?.remove();
       ensureButtons(this.mgr, this);
     }
 
+    // The parsed search box, with stat terms no save has moved to `bad` once stats are loaded.
+    query() {
+      const p = parseQuery(this.q);
+      if (!this.stats) return p;
+      const known = new Set([...this.stats.values()].flatMap((s) => Object.keys(s || {})));
+      for (const t of p.stats.filter((t) => !known.has(t.key)))
+        p.bad.push({ term: t.term, why: `no save has a stat "${t.key}"` });
+      p.stats = p.stats.filter((t) => known.has(t.key));
+      return p;
+    }
+
+    // Every term of the search (see parseQuery) and the tag filter must match. Pinned saves always
+    // sort to the top, then the chosen order: by time, by name, or by a stat's value.
     sortRows() {
-      const q = this.q.trim().toLowerCase();
-      let o = q
-        ? this.rows.filter(
-            (r) =>
-              (r.meta?.name || "").toLowerCase().includes(q) ||
-              (r.meta?.scene || "").toLowerCase().includes(q)
-          )
-        : this.rows.slice();
-      return o.sort((a, b) =>
-        this.sort === "oldest"
-          ? a.meta.ts - b.meta.ts
-          : this.sort === "name"
-            ? (a.meta.name || "").localeCompare(b.meta.name || "")
-            : b.meta.ts - a.meta.ts
+      const { text, fields, stats } = this.query(),
+        q = text.join(" "),
+        tags = fields.filter((f) => f.field === "tag").map((f) => f.val),
+        st = (r) => this.stats?.get(r.id),
+        sortKey = this.sort.startsWith("stat:") ? this.sort.slice(5) : null;
+      if (this.tag) tags.push(this.tag);
+      const o = this.rows.filter(
+        (r) =>
+          tags.every((t) => r.meta?.tags?.includes(t)) &&
+          fields.every(
+            ({ field, val }) =>
+              field === "tag" ||
+              (field === "scene"
+                ? (r.meta?.scene || "").toLowerCase() === val
+                : (r.meta?.name || "").toLowerCase().includes(val))
+          ) &&
+          stats.every((t) => statMatch(st(r)?.[t.key], t)) &&
+          (!q ||
+            [
+              r.meta?.name,
+              r.meta?.scene,
+              r.meta?.note,
+              ...(r.meta?.tags || []),
+              r.meta?.preview?.text,
+              ...(r.meta?.preview?.choices || []),
+            ]
+              .join("\n")
+              .toLowerCase()
+              .includes(q))
+      );
+      // Stat sorts put the highest value first, then text values, then saves without the stat.
+      const byStat = (a, b) => {
+        const [x, y] = [st(a)?.[sortKey], st(b)?.[sortKey]],
+          rank = (v) => (v == null ? 2 : typeof v === "number" || !isNaN(Number(v)) ? 0 : 1);
+        return (
+          rank(x) - rank(y) ||
+          (rank(x) ? String(x ?? "").localeCompare(String(y ?? "")) : Number(y) - Number(x))
+        );
+      };
+      return o.sort(
+        (a, b) =>
+          !!b.meta.pinned - !!a.meta.pinned ||
+          (sortKey
+            ? byStat(a, b) || b.meta.ts - a.meta.ts
+            : this.sort === "oldest"
+              ? a.meta.ts - b.meta.ts
+              : this.sort === "name"
+                ? (a.meta.name || "").localeCompare(b.meta.name || "")
+                : b.meta.ts - a.meta.ts)
       );
     }
 
     renderShell() {
+      const ret = retentionFor(gameId());
       const posOpts = POSITIONS.map(
         (p) =>
           `<option value="${p}" ${settings.buttons.position === p ? "selected" : ""}>${p.replace("-", " ")}</option>`
@@ -497,39 +2074,68 @@
 
       this.box.innerHTML = `
         <div class="cs-header"><h3>Saved Games</h3><button data-action="close" class="cs-close-btn">&times;</button></div>
-        <div id="cs-main-bar" class="cs-bar"><button data-action="show-save">Save</button><button data-action="show-export">Export</button><button data-action="import">Import</button><button data-action="del-sel">Delete Selected</button><button data-action="toggle-set">Settings</button></div>
+        <div id="cs-main-bar" class="cs-bar"><button data-action="show-save">Save</button><button data-action="show-export">Export</button><button data-action="undo-load">Undo Load</button><button data-action="import">Import</button><button data-action="code-paste">Paste save code</button><button data-action="legacy-scan">Find Legacy Saves</button><button data-action="compare">Compare</button><button data-action="tree">Timeline</button><button data-action="progress">Progress</button><button data-action="library">Library</button><button data-action="health">Check Saves</button><button data-action="del-sel">Delete Selected</button><button data-action="toggle-set">Settings</button></div>
         <div id="cs-save-bar" class="cs-bar" style="display:none;"><input type="text" id="cs-save-name-inp" class="cs-inline-inp" placeholder="Leave blank for 'Save N'"><button data-action="save-conf">Confirm</button><button data-action="canc-bar">Cancel</button></div>
-        <div id="cs-export-bar" class="cs-bar" style="display:none;"><span style="font-size:13px; font-weight:bold;">Export:</span><button data-action="exp-curr">Current State</button><button data-action="exp-sel">Selected</button><button data-action="exp-all">All</button><button data-action="canc-bar">Cancel</button></div>
+        <div id="cs-export-bar" class="cs-bar" style="display:none;"><span style="font-size:13px; font-weight:bold;">Export:</span><select id="cs-exp-fmt" title="Format"><option value="json">JSON backup</option><option value="md">Markdown stat sheet</option><option value="csv">CSV stat sheet</option></select><label class="cs-settings-row" id="cs-exp-temps-row" style="display:none"><input type="checkbox" id="cs-exp-temps"><span>Include temps</span></label><button data-action="exp-curr">Current State</button><button data-action="exp-sel">Selected</button><button data-action="exp-all">All</button><button data-action="code-copy">Copy save code</button><label class="cs-settings-row"><input type="checkbox" id="cs-exp-enc"><span>Encrypt</span></label><button data-action="canc-bar">Cancel</button></div>
         <div id="cs-settings-panel" class="cs-settings-panel" style="display: ${this.setOpen ? "grid" : "none"};">
           <label class="cs-settings-row"><input type="checkbox" id="cs-set-comp" ${settings.compression ? "checked" : ""}><span>Compress saves</span></label>
+          <div class="cs-settings-row"><button data-action="reencode" title="Rewrite every stored save with the current compression setting">Re-encode old saves</button></div>
           <label class="cs-settings-row"><input type="checkbox" id="cs-set-save" ${settings.buttons.save ? "checked" : ""}><span>Save button</span></label>
           <label class="cs-settings-row"><input type="checkbox" id="cs-set-quick" ${settings.buttons.quickSave ? "checked" : ""}><span>Quick Save button</span></label>
           <label class="cs-settings-row"><span>Position</span><select id="cs-set-pos" style="min-width:130px">${posOpts}</select></label>
+          <label class="cs-settings-row"><input type="checkbox" id="cs-set-confirm" ${settings.confirmLoad ? "checked" : ""}><span>Confirm before loading</span></label>
+          <label class="cs-settings-row" title="Lets other userscripts use window.CSSaveManager"><input type="checkbox" id="cs-set-api" ${settings.api ? "checked" : ""}><span>Scripting API</span></label>
+          <label class="cs-settings-row"><input type="checkbox" id="cs-set-auto" ${settings.autosave.enabled ? "checked" : ""}><span>Autosave on page turn</span></label>
+          <label class="cs-settings-row"><span>Autosaves kept</span><input type="number" id="cs-set-auto-depth" min="1" max="${AUTO_MAX_DEPTH}" value="${settings.autosave.depth}" style="width:60px"></label>
+          <label class="cs-settings-row"><span>Keep newest manual saves</span><input type="number" class="cs-ret" data-rule="keep" min="0" value="${ret.keep}" style="width:60px"></label>
+          <label class="cs-settings-row"><span>Quick/auto max age (days)</span><input type="number" class="cs-ret" data-rule="days" min="0" value="${ret.days}" style="width:60px"></label>
+          <label class="cs-settings-row"><span>Size cap (KB)</span><input type="number" class="cs-ret" data-rule="kb" min="0" value="${ret.kb}" style="width:70px"></label>
+          <label class="cs-settings-row"><input type="checkbox" id="cs-set-keys" ${settings.hotkeys ? "checked" : ""}><span>Keyboard shortcuts</span></label>
+          ${Object.entries(HOTKEYS)
+            .map(
+              ([k, label]) =>
+                `<div class="cs-settings-row"><span>${label}</span><button data-action="bind" data-bind="${k}" style="min-width:90px">${esc(settings.keys[k]) || "None"}</button></div>`
+            )
+            .join("")}
+          <div class="cs-settings-row"><button data-action="ret-preview">Preview cleanup</button><span class="cs-count" id="cs-quota"></span></div>
         </div>
+        <div id="cs-game-bar" class="cs-bar" style="display:none;"></div>
+        <div id="cs-link-bar" class="cs-bar" style="display:none;"></div>
+        <div id="cs-panel" class="cs-panel" style="display:none;"></div>
         <div class="cs-list-container">
           <div class="cs-list-header" style="flex-wrap: wrap; justify-content: space-between; gap: 8px;">
             <label style="display:flex;align-items:center;gap:4px;"><input type="checkbox" id="cs-select-all"><span>Select all shown</span></label>
             <div class="cs-tools" style="margin-bottom: 0;">
-              <input type="search" class="cs-search" id="cs-search-input" placeholder="Search name or scene..." value="${this.q}">
-              <select id="cs-sort-select">
-                <option value="newest" ${this.sort === "newest" ? "selected" : ""}>Newest</option>
-                <option value="oldest" ${this.sort === "oldest" ? "selected" : ""}>Oldest</option>
-                <option value="name" ${this.sort === "name" ? "selected" : ""}>Name</option>
-              </select>
+              <input type="search" class="cs-search" id="cs-search-input" placeholder="Search text, or scene:name tag:name strength>=50..." value="${esc(this.q)}">
+              <select id="cs-tag-select"></select>
+              <select id="cs-sort-select"></select>
+              <label style="display:flex;align-items:center;gap:4px;font-size:13px;"><input type="checkbox" id="cs-group-runs" ${this.runs ? "checked" : ""}>By run</label>
               <span class="cs-count" id="cs-count-span"></span>
             </div>
           </div>
+          <div id="cs-query-err" class="cs-count" style="display:none;padding:4px 0"></div>
           <div id="cs-list-body"></div>
         </div>
       `;
     }
 
+    // Fills in the storage usage line of the settings panel.
+    async showQuota() {
+      const q = await quota(),
+        el = this.box?.querySelector("#cs-quota");
+      if (el && q)
+        el.textContent = `Storage: ${fmtSize(q.usage)} of ${fmtSize(q.quota)} (${Math.round((q.usage / q.quota) * 100)}%)`;
+    }
+
     attachMasterEvents() {
       this.box.addEventListener("click", async (e) => {
         const t = e.target;
         const action = t.dataset.action || t.closest("[data-action]")?.dataset.action;
-        const r = t.closest(".cs-row");
-        const rid = r?.dataset.id;
+        const r = t.closest("[data-id]");
+        const rid = r?.dataset.id,
+          lib = t.closest("[data-game]")?.dataset.game,
+          run = t.closest("[data-run]")?.dataset.run,
+          runRows = () => this.rows.filter((x) => (x.meta?.run || "") === run);
 
         const b = (s) => this.box.querySelector(s);
         const tog = (m, s, ex) => {
@@ -561,20 +2167,26 @@
               tog("none", "none", "flex");
               break;
             case "exp-curr":
-              dl(await this.mgr.exportCurrent(), `cs-curr-${gameSlug()}-${now()}.json`);
+              await this.exportRecs(
+                [await this.mgr.exportCurrent()],
+                `cs-curr-${gameSlug()}-${now()}`
+              );
               tog("flex", "none", "none");
               break;
             case "exp-sel":
               if (this.sel.size) {
-                dl(
-                  JSON.stringify(this.rows.filter((x) => this.sel.has(x.id))),
-                  `cs-sel-${gameSlug()}-${now()}.json`
+                await this.exportRecs(
+                  await this.mgr.db.withState(this.rows.filter((x) => this.sel.has(x.id))),
+                  `cs-sel-${gameSlug(this.viewGame())}-${now()}`
                 );
                 tog("flex", "none", "none");
               } else toast("None selected");
               break;
             case "exp-all":
-              dl(JSON.stringify(this.rows), `cs-all-${gameSlug()}-${now()}.json`);
+              await this.exportRecs(
+                await this.mgr.db.withState(this.rows),
+                `cs-all-${gameSlug(this.viewGame())}-${now()}`
+              );
               tog("flex", "none", "none");
               break;
             case "import": {
@@ -585,9 +2197,15 @@
               i.onchange = async (ev) => {
                 if (ev.target.files[0]) {
                   try {
-                    await this.mgr.import(await ev.target.files[0].text());
-                    toast("Imported successfully");
-                    await this.renderList(true);
+                    const text = await this.mgr.unwrap(await ev.target.files[0].text(), () =>
+                        prompt("This backup is encrypted. Passphrase:")
+                      ),
+                      legacy = await this.mgr.fromFile(text);
+                    if (legacy && !legacy.length) throw new Error("No saves found in file.");
+                    const { entries, rejected } = legacy
+                      ? { entries: legacy.map((rec) => ({ rec })), rejected: [] }
+                      : await this.mgr.parseImport(text);
+                    await this.showImport(entries, rejected);
                   } catch (err) {
                     toast(err.message);
                   }
@@ -596,11 +2214,52 @@
               i.click();
               break;
             }
+            case "code-copy": {
+              if (this.sel.size !== 1) {
+                toast("Select exactly one save");
+                break;
+              }
+              const code = await this.mgr.saveCode([...this.sel][0]);
+              // Without clipboard access (e.g. on http pages) the code is shown to copy by hand.
+              try {
+                await navigator.clipboard.writeText(code);
+                toast(`Save code copied (${code.length} characters)`);
+              } catch {
+                prompt("Copy this save code:", code);
+              }
+              tog("flex", "none", "none");
+              break;
+            }
+            case "code-paste": {
+              const text = prompt("Paste a save code:");
+              if (text?.trim()) await this.showImport([{ rec: await this.mgr.fromCode(text) }]);
+              break;
+            }
+            case "legacy-scan": {
+              const found = await this.mgr.scanLegacy();
+              if (found.length) await this.showImport(found.map((rec) => ({ rec })));
+              else toast("No legacy saves found");
+              break;
+            }
+            case "imp-commit": {
+              const items = this.panel.items;
+              if (items.every((i) => i.act === "skip")) {
+                toast("Nothing to import");
+                break;
+              }
+              const n = await this.mgr.commitImport(items);
+              toast(`Imported ${n}, skipped ${items.length - n}`);
+              this.showPanel(null);
+              await this.renderList(true);
+              break;
+            }
             case "del-sel":
               if (this.sel.size && confirm("Delete selected?")) {
-                await Promise.all([...this.sel].map((i) => this.mgr.db.delete(i)));
+                const n = await this.mgr.remove([...this.sel]);
+                toast(
+                  n < this.sel.size ? `Deleted ${n}, kept ${this.sel.size - n} locked` : "Deleted"
+                );
                 this.sel.clear();
-                toast("Deleted");
                 await this.renderList(true);
               }
               break;
@@ -608,19 +2267,227 @@
               this.setOpen = !this.setOpen;
               b("#cs-settings-panel").style.display = this.setOpen ? "grid" : "none";
               break;
+            case "compare":
+              if (this.sel.size === 2) await this.inspect([...this.sel]);
+              else toast("Select exactly two saves to compare");
+              break;
+            case "inspect":
+              await this.inspect([rid]);
+              break;
+            case "tree":
+              this.showPanel({ kind: "tree" });
+              break;
+            case "progress":
+              this.showPanel({ kind: "progress", ...(await this.mgr.progress(this.viewGame())) });
+              break;
+            case "panel-back":
+              this.showPanel(null);
+              break;
+            case "edit":
+              this.showPanel({
+                kind: "edit",
+                rec: this.panel.recs[0],
+                state: this.panel.states[0],
+                filter: "",
+              });
+              break;
+            case "edit-new":
+            case "edit-over": {
+              const s = this.readEdits(),
+                over = action === "edit-over";
+              if (over && !confirm("Overwrite the original save?")) break;
+              await this.mgr.write(this.panel.rec, s, !over);
+              toast(over ? "Save updated" : "Saved edited copy");
+              this.showPanel(null);
+              await this.renderList(true);
+              break;
+            }
+            case "bind":
+              this.binding = t.dataset.bind;
+              t.textContent = "Press a key...";
+              break;
+            case "reencode":
+              toast(`Re-encoded ${await this.mgr.reencode()} saves`);
+              await this.renderList(true);
+              this.showQuota();
+              break;
+            case "health":
+              this.showPanel({ kind: "health", ...(await this.mgr.scan(this.viewGame())) });
+              break;
+            case "health-export": {
+              const recs = this.panel.bad.filter((x) => x.pick).map((x) => x.rec);
+              if (!recs.length) {
+                toast("None selected");
+                break;
+              }
+              await this.exportFile(
+                exportJson(recs),
+                `cs-flagged-${gameSlug(this.viewGame())}-${now()}.json`
+              );
+              break;
+            }
+            case "health-quar": {
+              const ids = this.panel.bad.filter((x) => x.pick).map((x) => x.rec.id);
+              if (!ids.length) {
+                toast("None selected");
+                break;
+              }
+              if (!confirm(`Move ${ids.length} saves to quarantine?`)) break;
+              toast(`Quarantined ${await this.mgr.quarantine(ids)} saves`);
+              this.showPanel({ kind: "health", ...(await this.mgr.scan(this.viewGame())) });
+              await this.renderList(true);
+              break;
+            }
+            case "ret-preview":
+              this.showPanel({ kind: "retention", items: await this.mgr.retentionPlan() });
+              break;
+            case "ret-apply":
+              if (confirm(`Delete ${this.panel.items.length} saves?`)) {
+                // Exactly the reviewed saves, even if the rules would now pick others.
+                const ids = this.panel.items.map((x) => x.rec.id),
+                  n = await this.mgr.remove(ids);
+                toast(
+                  n < ids.length
+                    ? `Deleted ${n}, kept ${ids.length - n} locked`
+                    : `Deleted ${n} saves`
+                );
+                this.showPanel(null);
+                await this.renderList(true);
+                this.showQuota();
+              }
+              break;
+            case "library":
+              await this.showLibrary();
+              break;
+            case "lib-browse":
+              this.game = lib;
+              this.limit = LIST_PAGE;
+              this.showPanel(null);
+              await this.renderList(true);
+              break;
+            case "lib-home":
+              this.game = null;
+              await this.renderList(true);
+              break;
+            case "link":
+              if (confirm(`Move the saves of "${lib}" into this game?`)) {
+                toast(`Linked ${await this.mgr.mergeGame(lib, gameId())} saves`);
+                await this.renderList(true);
+              }
+              break;
+            case "link-ignore":
+              this.mgr.ignoreLink(lib);
+              this.renderList();
+              break;
+            case "lib-move": {
+              const to = prompt(
+                `Move the saves of "${lib}" to game id (an existing id merges them):`,
+                lib
+              );
+              if (to == null || to.trim() === lib) break;
+              const known = (await this.mgr.library()).some(
+                (x) => x.game === resolveGame(to.trim())
+              );
+              if (known && !confirm(`"${to.trim()}" already has saves. Merge into it?`)) break;
+              toast(`Moved ${await this.mgr.mergeGame(lib, to)} saves`);
+              if (lib === this.game) this.game = resolveGame(to.trim());
+              if (this.game === gameId()) this.game = null;
+              await this.renderList(true);
+              await this.showLibrary();
+              break;
+            }
+            case "lib-export":
+              await this.exportFile(
+                exportJson(await this.mgr.db.withState(await this.mgr.db.list(lib))),
+                `cs-all-${gameSlug(lib)}-${now()}.json`
+              );
+              break;
+            case "lib-del":
+              if (confirm(`Delete all saves for "${lib}"?`)) {
+                toast(`Deleted ${await this.mgr.removeGame(lib)} saves`);
+                if (lib === this.game) this.game = null;
+                await this.renderList(true);
+                await this.showLibrary();
+              }
+              break;
             case "load":
+              if (this.foreign()) {
+                toast("That save belongs to another game");
+                break;
+              }
+              await this.requestLoad(rid);
+              break;
+            case "confirm-load": {
+              const id = this.panel.rec.id;
+              this.close();
+              this.mgr.load(id);
+              break;
+            }
+            case "undo-load":
               this.close();
-              this.mgr.load(rid);
+              await this.mgr.undoLoad();
               break;
             case "del":
               if (confirm("Delete?")) {
-                await this.mgr.db.delete(rid);
+                if (!(await this.mgr.remove([rid]))) throw new Error("Save is locked.");
                 this.sel.delete(rid);
-                this.rows = this.rows.filter((x) => x.id !== rid);
                 toast("Deleted");
-                this.renderList();
+                await this.renderList(true);
               }
               break;
+            case "info":
+              this.infoId = this.infoId === rid ? null : rid;
+              this.renderList();
+              break;
+            case "info-canc":
+              this.infoId = null;
+              this.renderList();
+              break;
+            case "info-save":
+              await this.mgr.setInfo(rid, {
+                note: r.querySelector(".cs-note-inp").value.trim(),
+                tags: r.querySelector(".cs-tags-inp").value,
+                pinned: r.querySelector(".cs-pin-inp").checked,
+                locked: r.querySelector(".cs-lock-inp").checked,
+              });
+              this.infoId = null;
+              toast("Saved notes");
+              await this.renderList(true);
+              break;
+            case "more":
+              this.limit += LIST_PAGE;
+              this.renderList();
+              break;
+            case "run-toggle":
+              if (!this.runShut.delete(run)) this.runShut.add(run);
+              this.renderList();
+              break;
+            case "run-name": {
+              const name = prompt("Name this run:", runName(run));
+              if (name == null) break;
+              this.mgr.setRunName(run, name.trim());
+              this.renderList();
+              break;
+            }
+            case "run-exp":
+              await this.exportFile(
+                exportJson(await this.mgr.db.withState(runRows())),
+                `cs-run-${gameSlug(this.viewGame())}-${now()}.json`
+              );
+              break;
+            case "run-del": {
+              const ids = runRows().map((x) => x.id);
+              if (!confirm(`Delete all ${ids.length} saves of this run?`)) break;
+              const n = await this.mgr.remove(ids);
+              toast(n < ids.length ? `Deleted ${n}, kept ${ids.length - n} locked` : "Deleted");
+              ids.forEach((id) => this.sel.delete(id));
+              await this.renderList(true);
+              break;
+            }
+            case "preview":
+              if (!this.prevOpen.delete(rid)) this.prevOpen.add(rid);
+              this.renderList();
+              break;
             case "rename":
               this.editId = rid;
               this.renderList();
@@ -631,10 +2498,10 @@
               this.renderList();
               break;
             case "rename-save": {
-              const obj = await this.mgr.db.get(rid);
+              const obj = await this.mgr.db.getMeta(rid);
               if (obj) {
                 obj.meta.name = r.querySelector(".cs-rename-inp").value.trim() || "Unnamed Save";
-                await this.mgr.db.put(obj);
+                await this.mgr.db.putMeta(obj);
               }
               this.editId = null;
               toast("Renamed");
@@ -664,13 +2531,71 @@
           else this.sel.clear();
           this.syncCb();
           this.renderList();
+        } else if (e.target.classList.contains("cs-imp-act")) {
+          this.panel.items[e.target.dataset.idx].act = e.target.value;
+        } else if (e.target.id === "cs-imp-bulk" && e.target.value) {
+          // Non-duplicates have no "overwrite"/"keep" choice; anything but skip imports them.
+          // Duplicates of a locked save are kept beside it rather than overwriting it.
+          const v = e.target.value;
+          this.panel.items.forEach(
+            (i) =>
+              (i.act =
+                i.dup || v === "skip" ? (i.locked && v === "overwrite" ? "keep" : v) : "import")
+          );
+          this.showPanel(this.panel);
+        } else if (e.target.classList.contains("cs-health-cb")) {
+          this.panel.bad[e.target.dataset.idx].pick = e.target.checked;
+        } else if (e.target.id === "cs-stat-same") {
+          this.panel.hideSame = e.target.checked;
+          this.renderStats();
         } else if (e.target.id === "cs-sort-select") {
-          this.sort = e.target.value;
+          if (e.target.value === "stat") {
+            const k = prompt("Sort by which stat? (highest first)", this.sort.slice(5))?.trim();
+            if (k) this.sort = `stat:${k.toLowerCase()}`;
+          } else this.sort = e.target.value;
+          this.limit = LIST_PAGE;
+          this.renderList();
+        } else if (e.target.id === "cs-exp-fmt") {
+          // Stat sheets are for reading, so they are never encrypted.
+          const json = e.target.value === "json";
+          b("#cs-exp-enc").disabled = !json;
+          b("#cs-exp-temps-row").style.display = json ? "none" : "";
+        } else if (e.target.id === "cs-group-runs") {
+          this.runs = e.target.checked;
+          this.limit = LIST_PAGE;
+          this.renderList();
+        } else if (e.target.id === "cs-tag-select") {
+          this.tag = e.target.value;
+          this.limit = LIST_PAGE;
           this.renderList();
-        } else if (["cs-set-comp", "cs-set-save", "cs-set-quick"].includes(e.target.id)) {
+        } else if (
+          [
+            "cs-set-comp",
+            "cs-set-save",
+            "cs-set-quick",
+            "cs-set-auto",
+            "cs-set-keys",
+            "cs-set-confirm",
+            "cs-set-api",
+          ].includes(e.target.id)
+        ) {
           settings.compression = b("#cs-set-comp").checked;
           settings.buttons.save = b("#cs-set-save").checked;
           settings.buttons.quickSave = b("#cs-set-quick").checked;
+          settings.autosave.enabled = b("#cs-set-auto").checked;
+          settings.hotkeys = b("#cs-set-keys").checked;
+          settings.confirmLoad = b("#cs-set-confirm").checked;
+          settings.api = b("#cs-set-api").checked;
+          installApi();
+          this.apply();
+        } else if (e.target.classList.contains("cs-ret")) {
+          const g = gameId(),
+            v = Math.max(0, Math.floor(Number(e.target.value)) || 0);
+          e.target.value = v;
+          settings.retention[g] = { ...retentionFor(g), [e.target.dataset.rule]: v };
+          this.apply();
+        } else if (e.target.id === "cs-set-auto-depth") {
+          settings.autosave.depth = e.target.value = clampDepth(e.target.value);
           this.apply();
         }
       });
@@ -679,11 +2604,29 @@
         if (e.target.id === "cs-search-input") {
           this.q = e.target.value;
           this.editId = null;
+          this.limit = LIST_PAGE;
           this.renderList();
+        } else if (e.target.id === "cs-stat-filter") {
+          this.panel.filter = e.target.value;
+          if (this.panel.kind === "inspect") this.renderStats();
+          else {
+            // Editor rows are hidden rather than re-rendered so pending edits survive filtering.
+            const q = e.target.value.trim().toLowerCase();
+            this.box.querySelectorAll("#cs-panel tr[data-key]").forEach((tr) => {
+              tr.style.display = !q || tr.dataset.key.includes(q) ? "" : "none";
+            });
+          }
         }
       });
 
       this.box.addEventListener("keydown", (e) => {
+        if (this.binding) {
+          // Swallow the key (Escape included, so it cancels instead of closing the Modal).
+          e.preventDefault();
+          e.stopPropagation();
+          this.bindKey(e);
+          return;
+        }
         if (e.key === "Enter") {
           if (e.target.id === "cs-save-name-inp")
             this.box.querySelector('[data-action="save-conf"]').click();
@@ -693,6 +2636,45 @@
       });
     }
 
+    // Export bar downloads: a JSON backup, or a Markdown/CSV stat sheet of the decoded saves.
+    async exportRecs(recs, base) {
+      const format = this.box.querySelector("#cs-exp-fmt").value;
+      if (format === "json") return this.exportFile(exportJson(recs), `${base}.json`);
+      const states = await Promise.all(recs.map(dec)),
+        temps = this.box.querySelector("#cs-exp-temps").checked;
+      dl(statSheet(recs, states, { format, temps }), `${base}.${format}`);
+    }
+
+    // Downloads an export, encrypting it first when the export bar's Encrypt box is ticked.
+    async exportFile(txt, fn) {
+      if (this.box.querySelector("#cs-exp-enc")?.checked) {
+        const pass = prompt("Passphrase for this backup:");
+        if (!pass) return toast("Export cancelled");
+        if (prompt("Repeat the passphrase:") !== pass) throw new Error("Passphrases don't match.");
+        txt = await encrypt(txt, pass);
+        fn = fn.replace(/\.json$/, ".enc.json");
+      }
+      dl(txt, fn);
+    }
+
+    // Escape cancels, Backspace/Delete unbinds. A combo already bound to another command is refused.
+    bindKey(e) {
+      const k = this.binding,
+        c = ["Backspace", "Delete"].includes(e.key) ? "" : comboOf(e);
+      if (c === "" && e.key !== "Backspace" && e.key !== "Delete") return; // lone modifier, keep waiting
+      this.binding = null;
+      if (e.key !== "Escape") {
+        const clash = c && Object.keys(HOTKEYS).find((a) => a !== k && settings.keys[a] === c);
+        if (clash) toast(`${c} is already used for ${HOTKEYS[clash]}`);
+        else {
+          settings.keys[k] = c;
+          this.apply();
+        }
+      }
+      const btn = this.box.querySelector(`[data-bind="${k}"]`);
+      if (btn) btn.textContent = settings.keys[k] || "None";
+    }
+
     syncCb() {
       const cb = this.box.querySelector("#cs-select-all");
       const visibleRows = this.sortRows();
@@ -710,11 +2692,72 @@
       cb.indeterminate = checkedCount > 0 && checkedCount < visibleRows.length;
     }
 
+    badge(kind, text) {
+      return `<span class="cs-quick-badge cs-${kind}-${this.dark ? "dark" : "light"}">${text}</span>`;
+    }
+
     async renderList(fetch = false) {
-      if (fetch) this.rows = await this.mgr.db.list(gameId());
+      if (fetch || this.stale) {
+        this.stale = false;
+        this.rows = await this.mgr.db.list(this.viewGame());
+        const ids = new Set(this.rows.map((r) => r.id));
+        this.sel.forEach((id) => ids.has(id) || this.sel.delete(id));
+      }
+      const gb = this.box.querySelector("#cs-game-bar");
+      gb.style.display = this.foreign() ? "flex" : "none";
+      gb.innerHTML = this.foreign()
+        ? `<span style="font-size:13px">Viewing saves for <strong>${esc(this.game)}</strong></span><button data-action="lib-home">Back to this game</button>`
+        : "";
+      const links = this.foreign() ? [] : this.mgr.linkable || [],
+        lb = this.box.querySelector("#cs-link-bar");
+      lb.style.display = links.length ? "flex" : "none";
+      lb.innerHTML = links
+        .map(
+          (x) =>
+            `<span data-game="${esc(x.game)}" class="cs-bar" style="margin:0;font-size:13px">${x.count} saves from <strong>${esc(x.game)}</strong> look like this game.<button data-action="link">Link them here</button><button data-action="link-ignore">Keep apart</button></span>`
+        )
+        .join("");
+      if (this.panel?.kind === "tree") this.showPanel(this.panel);
+      // Stat terms and stat sorts need every save decoded; later renders hit the cache.
+      const seq = (this.listSeq = (this.listSeq || 0) + 1),
+        pq = parseQuery(this.q);
+      this.stats =
+        pq.stats.length || this.sort.startsWith("stat:") ? await this.mgr.statsOf(this.rows) : null;
+      if (seq !== this.listSeq) return;
+      const { bad } = this.query(),
+        qe = this.box.querySelector("#cs-query-err");
+      qe.style.display = bad.length ? "block" : "none";
+      qe.innerHTML = `Ignored: ${bad
+        .map(
+          (x) =>
+            `<mark class="cs-diff-removed" title="${esc(x.why)}">${esc(x.term)}</mark> ${esc(x.why)}`
+        )
+        .join(" &middot; ")}`;
+      this.box.querySelector("#cs-search-input").classList.toggle("cs-search-bad", !!bad.length);
       const rows = this.sortRows(),
         b = (s) => this.box.querySelector(s),
-        tbody = b("#cs-list-body");
+        tbody = b("#cs-list-body"),
+        tags = [...new Set(this.rows.flatMap((r) => r.meta?.tags || []))].sort();
+      if (this.tag && !tags.includes(this.tag)) tags.unshift(this.tag);
+      b("#cs-tag-select").innerHTML = [
+        `<option value="">All tags</option>`,
+        ...tags.map(
+          (t) => `<option value="${esc(t)}" ${t === this.tag ? "selected" : ""}>${esc(t)}</option>`
+        ),
+      ].join("");
+      const sorts = [
+        ["newest", "Newest"],
+        ["oldest", "Oldest"],
+        ["name", "Name"],
+        ...(this.sort.startsWith("stat:") ? [[this.sort, `Stat: ${this.sort.slice(5)}`]] : []),
+        ["stat", "By stat..."],
+      ];
+      b("#cs-sort-select").innerHTML = sorts
+        .map(
+          ([v, l]) =>
+            `<option value="${esc(v)}" ${v === this.sort ? "selected" : ""}>${esc(l)}</option>`
+        )
+        .join("");
       b("#cs-count-span").textContent = `${rows.length} / ${this.rows.length}`;
 
       if (!rows.length) {
@@ -723,35 +2766,509 @@
         return;
       }
 
-      tbody.innerHTML = rows
-        .map((r) => {
-          const ed = this.editId === r.id;
-          return `
-          <div class="cs-row" data-id="${r.id}">
-            <div class="cs-row-left">
+      // Only the first `limit` rows are built; the rest come a page at a time.
+      const { html, more } = this.runs
+        ? this.runsHtml(rows)
+        : {
+            html: rows
+              .slice(0, this.limit)
+              .map((r) => this.rowHtml(r))
+              .join(""),
+            more: rows.length - this.limit,
+          };
+      tbody.innerHTML =
+        html +
+        (more > 0
+          ? `<div class="cs-bar" style="justify-content:center;margin:6px 0"><button data-action="more">Show ${Math.min(more, LIST_PAGE)} more (${more} hidden)</button></div>`
+          : "");
+      this.syncCb();
+    }
+
+    // Rows under a header per playthrough, in the order the runs first appear in the sorted list.
+    // Runs are numbered by their oldest save; saves from before runs existed form their own group.
+    runsHtml(rows) {
+      const groups = new Map(),
+        first = new Map();
+      for (const r of rows) {
+        const k = r.meta?.run || "";
+        groups.has(k) || groups.set(k, []);
+        groups.get(k).push(r);
+      }
+      for (const r of this.rows) {
+        const k = r.meta?.run;
+        if (k && !(first.get(k) <= r.meta.ts)) first.set(k, r.meta.ts);
+      }
+      const order = [...first.keys()].sort((a, b) => first.get(a) - first.get(b));
+      let left = this.limit,
+        more = 0,
+        html = "";
+      for (const [k, rs] of groups) {
+        const shut = this.runShut.has(k),
+          shown = shut ? [] : rs.slice(0, Math.max(left, 0)),
+          label = k ? runName(k) || `Run ${order.indexOf(k) + 1}` : "Earlier saves";
+        if (shown.length || shut || left > 0)
+          html += `<div class="cs-run-head" data-run="${esc(k)}"><button data-action="run-toggle" class="cs-prev-btn">${shut ? "&#9656;" : "&#9662;"}</button><span>${esc(label)}</span><span class="cs-meta-span">${rs.length} saves</span><span style="flex:1"></span>${k ? `<button data-action="run-name">Name</button>` : ""}<button data-action="run-exp">Export</button><button data-action="run-del" class="cs-btn-del">Delete run</button></div>`;
+        html += shown.map((r) => this.rowHtml(r)).join("");
+        if (!shut) {
+          more += rs.length - shown.length;
+          left -= rs.length;
+        }
+      }
+      return { html, more };
+    }
+
+    // depth/fork are only used by the timeline view to indent branches.
+    rowHtml(r, depth = 0, fork = false) {
+      const ed = this.editId === r.id,
+        pv = r.meta?.preview,
+        open = pv && this.prevOpen.has(r.id),
+        locked = !!r.meta?.locked,
+        pad = Math.min(depth, 12) * 16;
+      return `
+          <div class="cs-row" data-id="${esc(r.id)}">
+            <div class="cs-row-left" style="padding-left:${pad}px">
+              ${fork ? `<span class="cs-meta-span" style="margin:0">&#9492;</span>` : ""}
               <input type="checkbox" class="cs-cb" ${this.sel.has(r.id) ? "checked" : ""}>
-              <div class="cs-info">
-                ${r.meta?.quick != null ? `<span class="cs-quick-badge cs-quick-${this.dark ? "dark" : "light"}">QUICK</span>` : ""}
+              ${pv ? `<button data-action="preview" class="cs-prev-btn" title="Page preview">${open ? "&#9662;" : "&#9656;"}</button>` : ""}
+              <div class="cs-info" title="${esc(r.meta?.note || pv?.text)}">
+                ${r.meta?.pinned ? this.badge("pin", "PINNED") : ""}
+                ${locked ? this.badge("lock", "LOCKED") : ""}
+                ${r.meta?.quick != null ? this.badge("quick", "QUICK") : ""}
+                ${r.meta?.auto ? this.badge("auto", "AUTO") : ""}
+                ${r.meta?.modified ? this.badge("mod", "MODIFIED") : ""}
+                ${r.meta?.undo ? this.badge("undo", "BEFORE LOAD") : ""}
                 ${
                   ed
                     ? `<input type="text" class="cs-rename-inp cs-inline-inp" value="${esc(r.meta?.name || "")}">`
                     : `<span class="cs-title-span"><strong>${esc(r.meta?.name) || `(${esc(r.meta?.scene) || "Unknown"})`}</strong></span>`
                 }
                 <span class="cs-meta-span">${esc(r.meta?.scene) || "-"} &middot; ${new Date(r.meta?.ts || 0).toLocaleString()}</span>
+                ${(r.meta?.tags || []).map((t) => `<span class="cs-tag">${esc(t)}</span>`).join("")}
+                ${this.panel?.kind === "tree" && r.id === getHead() ? `<span class="cs-meta-span"><em>current</em></span>` : ""}
               </div>
             </div>
             <div class="cs-acts">
               ${
                 ed
                   ? `<button data-action="rename-save">Save</button><button data-action="rename-canc">Cancel</button>`
-                  : `<button data-action="load">Load</button><button data-action="rename">Rename</button><button data-action="del" class="cs-btn-del">Delete</button>`
+                  : `${this.foreign() ? "" : `<button data-action="load">Load</button>`}<button data-action="inspect">Inspect</button><button data-action="rename">Rename</button><button data-action="info">Notes</button><button data-action="del" class="cs-btn-del" ${locked ? `disabled title="Unlock to delete"` : ""}>Delete</button>`
               }
             </div>
-          </div>`;
-        })
-        .join("");
+          </div>
+          ${
+            this.infoId === r.id
+              ? `<div class="cs-note-edit" data-id="${esc(r.id)}" style="margin-left:${pad}px">
+                  <span>Note</span><textarea class="cs-note-inp">${esc(r.meta?.note)}</textarea>
+                  <span>Tags</span><input type="text" class="cs-tags-inp cs-inline-inp" placeholder="comma separated" value="${esc((r.meta?.tags || []).join(", "))}">
+                  <span></span><span><label><input type="checkbox" class="cs-pin-inp" ${r.meta?.pinned ? "checked" : ""}> Pinned</label> <label><input type="checkbox" class="cs-lock-inp" ${locked ? "checked" : ""}> Locked</label></span>
+                  <span></span><span class="cs-acts"><button data-action="info-save">Save</button><button data-action="info-canc">Cancel</button></span>
+                </div>`
+              : ""
+          }
+          ${
+            open
+              ? `<div class="cs-preview" style="margin-left:${pad}px">${esc(pv.text)}${
+                  pv.choices?.length
+                    ? `<ul>${pv.choices.map((c) => `<li>${esc(c)}</li>`).join("")}</ul>`
+                    : ""
+                }</div>`
+              : ""
+          }`;
+    }
 
-      this.syncCb();
+    // Lineage tree: a save with a single child continues at the same depth, forks are indented.
+    treeHtml() {
+      const ids = new Set(this.rows.map((r) => r.id)),
+        kids = new Map(),
+        byTs = (a, b) => a.meta.ts - b.meta.ts;
+      for (const r of this.rows) {
+        const p = ids.has(r.meta?.parent) ? r.meta.parent : null;
+        kids.set(p, [...(kids.get(p) || []), r]);
+      }
+
+      const out = [],
+        seen = new Set();
+      const walk = (root) => {
+        const stack = [[root, 0, false]];
+        while (stack.length) {
+          const [r, d, fork] = stack.pop();
+          if (seen.has(r.id)) continue;
+          seen.add(r.id);
+          out.push(this.rowHtml(r, d, fork));
+          const c = (kids.get(r.id) || []).sort(byTs),
+            split = c.length > 1;
+          for (const x of c.reverse()) stack.push([x, split ? d + 1 : d, split]);
+        }
+      };
+      (kids.get(null) || []).sort(byTs).forEach(walk);
+      // Anything unreachable from a root (a parent cycle in imported data) starts from its oldest save.
+      this.rows
+        .slice()
+        .sort(byTs)
+        .forEach((r) => seen.has(r.id) || walk(r));
+      return (
+        out.join("") ||
+        `<div style="padding:10px 2px;font-size:13px;opacity:.8;">No saves yet.</div>`
+      );
+    }
+
+    // Replaces the save list with a detail panel; null returns to the list.
+    showPanel(p) {
+      const b = (s) => this.box.querySelector(s);
+      this.panel = p;
+      b("#cs-panel").style.display = p ? "block" : "none";
+      b(".cs-list-container").style.display = p ? "none" : "";
+      if (!p) return;
+      b("#cs-panel").innerHTML = this.panelHtml(p);
+      if (p.kind === "inspect") this.renderStats();
+    }
+
+    panelHtml(p) {
+      const nm = (r) => esc(r.meta?.name) || "Unnamed Save",
+        filter = `<input type="search" class="cs-search" id="cs-stat-filter" placeholder="Filter stats..." value="${esc(p.filter)}">`;
+      switch (p.kind) {
+        case "inspect": {
+          const [x, y] = p.recs;
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>${y ? `${nm(x)} &rarr; ${nm(y)}` : nm(x)}</strong>
+              ${filter}
+              ${y ? `<label class="cs-settings-row"><input type="checkbox" id="cs-stat-same" ${p.hideSame ? "checked" : ""}><span>Hide unchanged</span></label>` : `<button data-action="edit">Edit</button>`}
+              <span class="cs-count" id="cs-stat-count"></span>
+            </div>
+            <div class="cs-panel-body" id="cs-panel-body"></div>`;
+        }
+        case "import": {
+          const opt = (v, label, cur) =>
+            `<option value="${v}" ${v === cur ? "selected" : ""}>${label}</option>`;
+          const status = (i) =>
+            [
+              i.dup === "id"
+                ? "Same id already saved"
+                : i.dup === "state"
+                  ? `Same state as "${esc(i.matchName) || "Unnamed Save"}"`
+                  : "New",
+              i.locked ? "matches a locked save" : "",
+              i.from != null && i.from < METADATA_FORMAT_VERSION
+                ? `upgraded from format ${i.from}`
+                : "",
+              i.rec.meta.source ? esc(i.rec.meta.source) : "",
+              i.foreign ? `<span class="cs-diff-removed">from game "${esc(i.foreign)}"</span>` : "",
+            ]
+              .filter(Boolean)
+              .join(" &middot; ");
+          const foreign = new Set(p.items.map((i) => i.foreign).filter(Boolean));
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Import ${p.items.length} saves</strong>
+              <select id="cs-imp-bulk">${opt("", "Set all...", "")}${opt("skip", "Skip", "")}${opt("overwrite", "Overwrite", "")}${opt("keep", "Keep both", "")}</select>
+              <button data-action="imp-commit">Import</button>
+              <span class="cs-count">${p.items.filter((i) => i.dup).length} duplicates. Nothing is written until you import.</span>
+            </div>
+            ${foreign.size ? `<div class="cs-diff-removed" style="font-size:13px;margin-bottom:6px">Some saves come from a different game (${[...foreign].map(esc).join(", ")}). They will be moved to this one.</div>` : ""}
+            <div class="cs-panel-body"><table class="cs-stat-table">
+              <tr><th></th><th>Name</th><th>Scene</th><th>Saved</th><th>Status</th></tr>
+              ${p.items
+                .map(
+                  (i, idx) =>
+                    `<tr class="${i.dup ? "cs-diff-changed" : ""}"><td><select class="cs-imp-act" data-idx="${idx}">${
+                      i.dup
+                        ? opt("skip", "Skip", i.act) +
+                          (i.locked ? "" : opt("overwrite", "Overwrite", i.act)) +
+                          opt("keep", "Keep both", i.act)
+                        : opt("import", "Import", i.act) + opt("skip", "Skip", i.act)
+                    }</select></td><td>${esc(i.rec.meta.name)}</td><td>${esc(i.rec.meta.scene) || "-"}</td><td>${new Date(i.rec.meta.ts).toLocaleString()}</td><td>${status(i)}</td></tr>`
+                )
+                .join("")}
+              ${
+                p.rejected.length
+                  ? `<tr><th colspan="5">Rejected (${p.rejected.length})</th></tr>${p.rejected
+                      .map(
+                        (x) =>
+                          `<tr class="cs-diff-removed"><td></td><td>${esc(x.name)}</td><td colspan="3">${esc(x.why)}</td></tr>`
+                      )
+                      .join("")}`
+                  : ""
+              }
+            </table></div>`;
+        }
+        case "library": {
+          const cur = gameId(),
+            total = p.games.reduce((n, x) => n + x.size, 0);
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Library</strong>
+              <span class="cs-count">${p.games.length} games &middot; ${p.games.reduce((n, x) => n + x.count, 0)} saves &middot; ~${fmtSize(total)}${p.quota ? ` &middot; browser storage ${fmtSize(p.quota.usage)} of ${fmtSize(p.quota.quota)}` : ""}</span>
+            </div>
+            <div class="cs-panel-body"><table class="cs-stat-table">
+              <tr><th>Game</th><th>Saves</th><th>Last played</th><th>Size</th><th></th></tr>
+              ${p.games
+                .map(
+                  (x) => `
+                <tr data-game="${esc(x.game)}">
+                  <td>${esc(x.game)}${x.game === cur ? " <em>(this game)</em>" : ""}${
+                    p.aliases[x.game]
+                      ? `<div class="cs-count">also ${p.aliases[x.game].map(esc).join(", ")}</div>`
+                      : ""
+                  }</td>
+                  <td>${x.count}</td>
+                  <td>${new Date(x.last).toLocaleString()}</td>
+                  <td>${fmtSize(x.size)}</td>
+                  <td class="cs-acts"><button data-action="lib-browse">Browse</button><button data-action="lib-move">Rename / Merge</button><button data-action="lib-export">Export</button><button data-action="lib-del" class="cs-btn-del">Delete</button></td>
+                </tr>`
+                )
+                .join("")}
+            </table></div>`;
+        }
+        case "progress": {
+          const all = [...new Set([...p.list, ...Object.keys(p.scenes)])],
+            seen = p.list.filter((s) => p.scenes[s]).length,
+            ends = Object.entries(p.endings).sort((a, b) => a[1].ts - b[1].ts),
+            when = (ts) => (ts ? new Date(ts).toLocaleString() : "-");
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Progress</strong>
+              <span class="cs-count">${p.list.length ? `${seen} of ${p.list.length} scenes reached` : `${all.length} scenes reached`} &middot; ${ends.length} endings</span>
+            </div>
+            <div class="cs-panel-body"><table class="cs-stat-table">
+              <tr><th>Scene</th><th>First reached</th><th>Earliest save</th></tr>
+              ${all
+                .map((s) => {
+                  const r = p.first[s];
+                  return `<tr ${r ? `data-id="${esc(r.id)}"` : `style="opacity:.6"`}><td>${esc(s)}${p.list.includes(s) ? "" : ` <em>(not in scene list)</em>`}</td><td>${when(p.scenes[s])}</td><td>${r ? `${nm(r)} <button data-action="load">Load</button><button data-action="inspect">Inspect</button>` : "-"}</td></tr>`;
+                })
+                .join("")}
+            </table>
+            ${
+              ends.length
+                ? `<table class="cs-stat-table" style="margin-top:8px"><tr><th>Ending</th><th>First reached</th></tr>${ends
+                    .map(([k, x]) => {
+                      const i = k.lastIndexOf(":");
+                      return `<tr><td>*${esc(x.cmd)} in ${esc(k.slice(0, i))}, line ${Number(k.slice(i + 1)) + 1}</td><td>${when(x.ts)}</td></tr>`;
+                    })
+                    .join("")}</table>`
+                : ""
+            }</div>`;
+        }
+        case "health":
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Check saves</strong>
+              ${p.bad.length ? `<button data-action="health-export">Export selected</button><button data-action="health-quar" class="cs-btn-del">Quarantine selected</button>` : ""}
+              <span class="cs-count">${p.total} saves checked &middot; ${p.bad.filter((x) => x.broken).length} unreadable &middot; ${p.bad.filter((x) => !x.broken).length} inconsistent</span>
+            </div>
+            <div class="cs-panel-body">${
+              p.bad.length
+                ? `<table class="cs-stat-table"><tr><th></th><th>Name</th><th>Saved</th><th>Problem</th></tr>${p.bad
+                    .map(
+                      ({ rec: x, why, pick }, i) =>
+                        `<tr><td><input type="checkbox" class="cs-health-cb" data-idx="${i}" ${pick ? "checked" : ""}></td><td>${esc(x.meta?.name) || esc(x.id)}</td><td>${new Date(x.meta?.ts || 0).toLocaleString()}</td><td>${esc(why)}</td></tr>`
+                    )
+                    .join("")}</table>
+                  <div class="cs-count" style="margin-top:6px">Quarantined saves move to their own entry in the Library, where they can be exported or deleted.</div>`
+                : `<div style="padding:10px 2px;font-size:13px;opacity:.8;">All ${p.total} saves are OK.</div>`
+            }</div>`;
+        case "retention": {
+          const r = retentionFor(gameId());
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Cleanup preview</strong>
+              ${p.items.length ? `<button data-action="ret-apply" class="cs-btn-del">Delete ${p.items.length} saves</button>` : ""}
+              <span class="cs-count">Rules: keep ${r.keep || "all"} manual &middot; quick/auto max ${r.days ? `${r.days} days` : "any age"} &middot; cap ${r.kb ? `${r.kb} KB` : "none"}</span>
+            </div>
+            <div class="cs-panel-body">${
+              p.items.length
+                ? `<table class="cs-stat-table"><tr><th>Name</th><th>Scene</th><th>Saved</th><th>Reason</th></tr>${p.items
+                    .map(
+                      ({ rec: x, why }) =>
+                        `<tr><td>${esc(x.meta?.name)}</td><td>${esc(x.meta?.scene) || "-"}</td><td>${new Date(x.meta?.ts || 0).toLocaleString()}</td><td>${esc(why)}</td></tr>`
+                    )
+                    .join("")}</table>`
+                : `<div style="padding:10px 2px;font-size:13px;opacity:.8;">Nothing would be removed.</div>`
+            }</div>`;
+        }
+        case "confirm": {
+          const r = p.rec,
+            more = p.changes.length - 10;
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Cancel</button>
+              <strong>Load "${esc(r.meta?.name) || "Unnamed Save"}"?</strong>
+              <button data-action="confirm-load">Load</button>
+            </div>
+            <div class="cs-panel-body" style="font-size:13px">
+              <div>Scene: ${esc(p.scene) || "-"} &rarr; <strong>${esc(r.meta?.scene) || "-"}</strong> &middot; saved ${new Date(r.meta?.ts || 0).toLocaleString()}</div>
+              <div style="margin:6px 0">${p.current ? `${p.changes.length} stats differ from your current game. Your current progress is kept in "Before load".` : "Current state unavailable, so no comparison."}</div>
+              ${
+                p.changes.length
+                  ? `<table class="cs-stat-table">${p.changes
+                      .slice(0, 10)
+                      .map(
+                        (x) =>
+                          `<tr class="cs-diff-${x.st}"><td>${esc(x.key)}</td><td>${esc(fmtVal(x.a))} &rarr; ${esc(fmtVal(x.b))}</td></tr>`
+                      )
+                      .join(
+                        ""
+                      )}</table>${more > 0 ? `<div style="opacity:.8">and ${more} more</div>` : ""}`
+                  : ""
+              }
+            </div>`;
+        }
+        case "tree":
+          return `
+            <div class="cs-bar"><button data-action="panel-back">Back</button><strong>Timeline</strong></div>
+            <div class="cs-panel-body">${this.treeHtml()}</div>`;
+        case "edit": {
+          const row = (scope, key, v) => {
+            const t = typeof v,
+              attrs = `class="cs-edit-inp cs-inline-inp" data-scope="${scope}" data-key="${esc(key)}" data-type="${t}"`;
+            const inp =
+              t === "boolean"
+                ? `<select ${attrs}><option value="true" ${v ? "selected" : ""}>true</option><option value="false" ${v ? "" : "selected"}>false</option></select>`
+                : t === "number" || t === "string"
+                  ? `<input type="${t === "number" ? "number" : "text"}" step="any" ${attrs} value="${esc(String(v))}">`
+                  : `<span style="opacity:.7">${esc(fmtVal(v))}</span>`;
+            return `<tr data-key="${esc(key.toLowerCase())}"><td>${esc(key)}</td><td>${inp}</td><td style="opacity:.7">${t}</td></tr>`;
+          };
+          const body = STAT_SCOPES.map((scope) => {
+            const o = p.state[scope] || {},
+              keys = Object.keys(o).sort((a, b) => a.localeCompare(b));
+            return keys.length
+              ? `<tr><th colspan="3">${scope === "stats" ? "Stats" : "Temps"}</th></tr>${keys.map((k) => row(scope, k, o[k])).join("")}`
+              : "";
+          }).join("");
+          return `
+            <div class="cs-bar">
+              <button data-action="panel-back">Back</button>
+              <strong>Edit: ${nm(p.rec)}</strong>
+              ${filter}
+              <button data-action="edit-new">Save as New</button>
+              <button data-action="edit-over">Overwrite</button>
+            </div>
+            <div class="cs-panel-body"><table class="cs-stat-table"><tr><th>Stat</th><th>Value</th><th>Type</th></tr>${body}</table></div>`;
+        }
+      }
+      return "";
+    }
+
+    // Loads right away, or first shows the target's scene and how its stats differ from the
+    // current state when "Confirm before loading" is on. Opens the Modal if needed (hotkeys).
+    async requestLoad(id) {
+      if (!settings.confirmLoad) {
+        this.close();
+        return this.mgr.load(id);
+      }
+      const rec = await this.mgr.db.get(id);
+      if (!rec) throw new Error("Save file missing from database.");
+      const target = await dec(rec),
+        current = await this.mgr.capture().catch(() => null);
+      if (!this.box) await this.show();
+      this.showPanel({
+        kind: "confirm",
+        rec,
+        current: !!current,
+        scene: current?.stats?.sceneName,
+        changes: current
+          ? diffStats(current, target).filter(
+              (x) => x.scope === "stats" && x.st !== "same" && x.key !== "sceneName"
+            )
+          : [],
+      });
+    }
+
+    async showLibrary() {
+      const aliases = {};
+      for (const k of Object.keys(readJson(ALIAS_KEY))) {
+        const g = resolveGame(k);
+        (aliases[g] = aliases[g] || []).push(k);
+      }
+      this.showPanel({
+        kind: "library",
+        games: await this.mgr.library(),
+        quota: await quota(),
+        aliases,
+      });
+    }
+
+    async showImport(entries, rejected = []) {
+      if (!entries.length && rejected.length)
+        throw new Error(`No valid saves found in file (${rejected[0].why}).`);
+      this.showPanel({ kind: "import", items: await this.mgr.review(entries), rejected });
+    }
+
+    // Single record: plain stat listing. Two records: diff from the older to the newer save.
+    async inspect(ids) {
+      const recs = await Promise.all(ids.map((id) => this.mgr.db.get(id)));
+      if (recs.some((r) => !r)) throw new Error("Save file missing from database.");
+      recs.sort((a, b) => a.meta.ts - b.meta.ts);
+      const states = await Promise.all(recs.map(dec));
+      this.showPanel({
+        kind: "inspect",
+        recs,
+        states,
+        rows: diffStats(states[0], states[1] || states[0]),
+        filter: "",
+        hideSame: false,
+      });
+    }
+
+    // Reads the editor inputs back into a copy of the state, keeping each value's original type.
+    readEdits() {
+      const s = JSON.parse(JSON.stringify(this.panel.state)),
+        bad = [];
+      this.box.querySelectorAll(".cs-edit-inp").forEach((i) => {
+        const { scope, key, type } = i.dataset;
+        let v = i.value;
+        if (type === "number") {
+          v = Number(v);
+          if (i.value.trim() === "" || !Number.isFinite(v)) {
+            bad.push(key);
+            i.style.outline = "2px solid #cf222e";
+            return;
+          }
+        } else if (type === "boolean") v = v === "true";
+        i.style.outline = "";
+        s[scope][key] = v;
+      });
+      if (bad.length) throw new Error(`Invalid number for: ${bad.join(", ")}`);
+      return s;
+    }
+
+    renderStats() {
+      const p = this.panel,
+        two = p.recs.length > 1,
+        q = p.filter.trim().toLowerCase();
+      const rows = p.rows.filter(
+        (r) => (!q || r.key.toLowerCase().includes(q)) && !(two && p.hideSame && r.st === "same")
+      );
+      this.box.querySelector("#cs-stat-count").textContent = two
+        ? `${rows.length} shown / ${p.rows.filter((r) => r.st !== "same").length} differ`
+        : `${rows.length} / ${p.rows.length}`;
+
+      const head = two
+        ? `<tr><th>Stat</th><th>${esc(p.recs[0].meta?.name)}</th><th>${esc(p.recs[1].meta?.name)}</th><th></th></tr>`
+        : `<tr><th>Stat</th><th>Value</th></tr>`;
+      const body = STAT_SCOPES.map((scope) => {
+        const sr = rows.filter((r) => r.scope === scope);
+        if (!sr.length) return "";
+        return `<tr><th colspan="${two ? 4 : 2}">${scope === "stats" ? "Stats" : "Temps"}</th></tr>${sr
+          .map((r) =>
+            two
+              ? `<tr class="cs-diff-${r.st}"><td>${esc(r.key)}</td><td>${esc(fmtVal(r.a))}</td><td>${esc(fmtVal(r.b))}</td><td>${r.st === "same" ? "" : r.st}</td></tr>`
+              : `<tr><td>${esc(r.key)}</td><td>${esc(fmtVal(r.a))}</td></tr>`
+          )
+          .join("")}`;
+      }).join("");
+
+      this.box.querySelector("#cs-panel-body").innerHTML = body
+        ? `<table class="cs-stat-table">${head}${body}</table>`
+        : `<div style="padding:10px 2px;font-size:13px;opacity:.8;">No stats match.</div>`;
     }
   }
 
@@ -768,6 +3285,24 @@
 
   const mgr = new SaveManager(),
     modal = new Modal(mgr);
+
+  // Shared by the floating buttons and the keyboard shortcuts.
+  const run = (f, done) => async () => {
+    try {
+      await f();
+      if (done) toast(done);
+    } catch (e) {
+      toast(e.message);
+      console.error(e);
+    }
+  };
+  const commands = {
+    save: run(() => mgr.create(), "Saved"),
+    quickSave: run(() => mgr.quick(), "Quick saved"),
+    quickLoad: run(async () => modal.requestLoad((await mgr.lastQuick()).id)),
+    undoLoad: run(() => (modal.close(), mgr.undoLoad())),
+    manager: () => (document.getElementById("cs-modal") ? modal.close() : modal.show()),
+  };
   const ensureButtons = () => {
     if (document.getElementById("cs-controls")) return;
     const w = Object.assign(document.createElement("div"), {
@@ -779,30 +3314,73 @@
         Object.assign(document.createElement("button"), { textContent: t, onclick: f })
       );
 
-    if (settings.buttons.save)
-      btn("Save", async () => {
-        try {
-          await mgr.create();
-          toast("Saved");
-        } catch (e) {
-          toast(e.message);
-          console.error(e);
-        }
-      });
-    if (settings.buttons.quickSave)
-      btn("Quick Save", async () => {
-        try {
-          await mgr.quick();
-          toast("Quick saved");
-        } catch (e) {
-          toast(e.message);
-          console.error(e);
-        }
-      });
+    if (settings.buttons.save) btn("Save", commands.save);
+    if (settings.buttons.quickSave) btn("Quick Save", commands.quickSave);
     btn("Manager", () => modal.show());
     ensureRoot().appendChild(w);
   };
 
+  /* === SCRIPTING API === */
+  // window.CSSaveManager, only while "Scripting API" is on. Every method returns a Promise and
+  // records come without their state. Bump API_VERSION on incompatible changes.
+  const installApi = () => {
+    const w = pageWindow();
+    if (!settings.api) {
+      if (w.CSSaveManager?.version === API_VERSION) delete w.CSSaveManager;
+      return;
+    }
+    if (w.CSSaveManager) return;
+    w.CSSaveManager = Object.freeze({
+      version: API_VERSION,
+      create: async (name = "") => pub(await mgr.create(name)),
+      quick: async () => pub(await mgr.quick()),
+      // Restores the save; the game reloads the page or scene, as with the Load button.
+      // Saves of other games are refused, as the Manager refuses them.
+      load: async (id) => {
+        const r = await mgr.db.getMeta(id);
+        if (r && r.game !== gameId()) throw new Error("That save belongs to another game.");
+        return mgr.load(id, true, true);
+      },
+      list: async (game = gameId()) => (await mgr.db.list(game)).map(pub),
+      // Same JSON as the Export button; all saves of the current game when ids are omitted.
+      export: async (ids) =>
+        exportJson(
+          await mgr.db.withState(
+            ids
+              ? (await Promise.all(ids.map((id) => mgr.db.getMeta(id)))).filter(Boolean)
+              : await mgr.db.list(gameId())
+          )
+        ),
+      import: (json, passphrase = "") => mgr.import(json, passphrase),
+      // Events: save-created, save-updated, save-loaded, save-deleted, import-finished. Returns an unsubscribe function.
+      on: (type, fn) => {
+        const h = (e) => fn(e.detail);
+        events.addEventListener(type, h);
+        return () => events.removeEventListener(type, h);
+      },
+    });
+    w.dispatchEvent(new CustomEvent("CSSaveManager:ready", { detail: { version: API_VERSION } }));
+  };
+
+  // Listens on window in the bubble phase, so keys the Modal stops from propagating never get here.
+  // Keys typed into the game's own text inputs are ignored as well.
+  const onHotkey = (e) => {
+    if (!settings.hotkeys || e.repeat || e.defaultPrevented) return;
+    const t = e.target,
+      c = comboOf(e),
+      a = c && Object.keys(HOTKEYS).find((k) => settings.keys[k] === c);
+    if (!a) return;
+    // Typing in the page's fields is left alone, except that the Manager key closes the Modal
+    // from its own search, rename and notes fields.
+    if (
+      (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "")) &&
+      !(a === "manager" && t.closest?.("#cs-modal"))
+    )
+      return;
+    e.preventDefault();
+    commands[a]();
+  };
+
   let didBoot = false,
     bootTries = 0;
   const boot = () => {
@@ -814,6 +3392,21 @@
     didBoot = true;
     injectStyles();
     ensureButtons();
+    mgr.hook();
+    installApi();
+    window.addEventListener("keydown", onHotkey);
+    mgr
+      .upgradeStored()
+      .then((n) => n && toast(`Upgraded ${n} saves to the current format`))
+      .catch((e) => console.warn("Stored save upgrade failed.", e));
+    mgr
+      .identify()
+      .then(
+        (l) =>
+          l.length &&
+          toast(`Found saves from "${l[0].game}" that look like this game. See the Manager.`, 5000)
+      )
+      .catch((e) => console.warn("Game identity check failed.", e));
   };
 
   if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", boot);